@@ -3,18 +3,276 @@
  * Handles extension events and communication between components
  */
 
-// Store DOM data from the content script
-let currentDomData = null;
-let contentScriptActive = {};
-let viewerTabId = null; // Track the viewer tab
-let scanningTabId = null; // Track which tab is currently being scanned
+importScripts("settings.js", "image-proxy.js", "scan-store.js");
+
+// Scans in progress or open in a viewer, by scan ID. Each scan is bound to the
+// tab it was taken from and the viewer tab showing it:
+// {
+//   scanId,
+//   sourceTabId,  // Scanned tab (null once it is closed)
+//   viewerTabId,  // Viewer tab showing this scan
+//   viewerReady,  // Whether the viewer has asked for data and can take chunks
+//   domData,      // Data received so far
+//   transfer,     // Chunked transfer: { transferId, nextSeq, totalChunks, complete }
+//   thumbnail,    // Promise of a screenshot of the page, for the library
+//   live,         // Whether the source tab's live patches go to this scan
+//   saveTimer,    // Pending save of live scan changes
+//   comparisonSlot, // Comparison slot to file the scan under, if any
+// }
+// Completed scans are also saved in the scan store (see scan-store.js).
+const scans = new Map();
+
+// The scan each tab is currently being scanned for, by source tab ID
+const scanningTabs = new Map();
+
+// Wait this long after a live patch before saving the scan again
+const SCAN_SAVE_DELAY = 2000;
+
+// Named slots scans can be added to for comparison, kept in
+// chrome.storage.local under "comparisonSlots" as { [slot]: scan summary }.
+// Comparing shows the changes from the first slot to the second.
+const COMPARISON_SLOTS = ["A", "B"];
+
+// Where the context menu entries appear
+const MENU_CONTEXTS = [
+  "page",
+  "frame",
+  "selection",
+  "link",
+  "editable",
+  "image",
+  "video",
+  "audio",
+];
 
 // Listen for extension icon click
 chrome.action.onClicked.addListener((tab) => {
   console.log("3DOM: Extension icon clicked, scanning DOM...");
+  startScan(tab, { action: "scanDOM" });
+});
 
-  // Remember which tab we're scanning
-  scanningTabId = tab.id;
+// Keyboard shortcut: pick an element on the page and scan only its subtree
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === "pick-element" && tab) {
+    startElementPicker(tab);
+  }
+});
+
+// Context menu entries are kept by Chrome, so create them once per install
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: "view-page",
+      title: "View page in 3DOM",
+      contexts: MENU_CONTEXTS,
+    });
+    chrome.contextMenus.create({
+      id: "view-element",
+      title: "View this element in 3DOM",
+      contexts: MENU_CONTEXTS,
+    });
+    chrome.contextMenus.create({
+      id: "view-selection",
+      title: "View selection in 3DOM",
+      contexts: ["selection"],
+    });
+    chrome.contextMenus.create({
+      id: "compare",
+      title: "Add to comparison",
+      contexts: MENU_CONTEXTS,
+    });
+    COMPARISON_SLOTS.forEach((slot) => {
+      chrome.contextMenus.create({
+        id: `compare-${slot}`,
+        parentId: "compare",
+        title: `Slot ${slot}`,
+        contexts: MENU_CONTEXTS,
+      });
+    });
+    chrome.contextMenus.create({
+      id: "compare-slots",
+      parentId: "compare",
+      title: `Show changes from slot ${COMPARISON_SLOTS.join(" to slot ")}`,
+      contexts: MENU_CONTEXTS,
+      enabled: false,
+    });
+    updateComparisonMenu();
+  });
+});
+
+// Context menu entries all go through the same scanning flow. The element
+// that was right-clicked, or the selection, is resolved by the content script.
+// Slots are also emptied when their scan is deleted (see deleteScans), from
+// the library or when old scans are pruned
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.comparisonSlots) {
+    updateComparisonMenu();
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+
+  // The content script only runs in the top frame, so it can't tell which
+  // element inside a frame was clicked; scan the whole page instead
+  const inTopFrame = !info.frameId;
+
+  if (info.menuItemId === "view-page") {
+    startScan(tab, { action: "scanDOM" });
+  } else if (info.menuItemId === "view-element") {
+    if (inTopFrame) {
+      scanContextTarget(tab);
+    } else {
+      startScan(tab, { action: "scanDOM" });
+    }
+  } else if (info.menuItemId === "view-selection") {
+    startScan(tab, {
+      action: "scanDOM",
+      root: inTopFrame ? "selection" : null,
+    });
+  } else if (info.menuItemId === "compare-slots") {
+    chrome.storage.local.get({ comparisonSlots: {} }, ({ comparisonSlots }) => {
+      const [before, after] = COMPARISON_SLOTS.map(
+        (slot) => comparisonSlots[slot]
+      );
+      if (before && after) {
+        openComparison(before.scanId, after.scanId);
+      }
+    });
+  } else if (String(info.menuItemId).startsWith("compare-")) {
+    const slot = String(info.menuItemId).slice("compare-".length);
+    startScan(tab, { action: "scanDOM" }, { comparisonSlot: slot });
+  }
+});
+
+// Scan the element that was right-clicked. The content script records it, so
+// on a page that was open before the extension was installed (or updated)
+// nothing was recorded: tell the user and let them pick the element instead.
+function scanContextTarget(tab) {
+  chrome.tabs.sendMessage(
+    tab.id,
+    { action: "getContextTarget" },
+    (response) => {
+      if (!chrome.runtime.lastError && response && response.captured) {
+        startScan(tab, { action: "scanDOM", root: "contextTarget" });
+        return;
+      }
+
+      chrome.notifications.create({
+        type: "basic",
+        iconUrl: "/images/icon128.png",
+        title: "3DOM Scanner",
+        message:
+          "The element you right-clicked wasn't captured, as 3DOM wasn't running on this page yet. Click the element to scan it, or press Escape to cancel.",
+      });
+      startElementPicker(tab);
+    }
+  );
+}
+
+// Make sure the content script is running in a tab. The tab is asked rather
+// than remembered: this worker's memory does not survive it being stopped, and
+// injecting into a page that already has the script would run it twice.
+function ensureContentScript(tabId) {
+  return pingContentScript(tabId).then((active) => {
+    if (active) {
+      return;
+    }
+    return chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ["scripts/settings.js", "scripts/content.js"],
+    });
+  });
+}
+
+// Resolve to whether a tab's content script answers
+function pingContentScript(tabId) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { action: "ping" }, (response) => {
+      resolve(!chrome.runtime.lastError && Boolean(response));
+    });
+  });
+}
+
+// Show the element picker overlay on a page. The content script reports back
+// with "subtreePicked" once the user clicks an element.
+function startElementPicker(tab) {
+  ensureContentScript(tab.id)
+    .then(() => {
+      chrome.tabs.sendMessage(tab.id, { action: "startPicker" }, () => {
+        if (chrome.runtime.lastError) {
+          console.error(
+            "3DOM: Could not start the element picker:",
+            chrome.runtime.lastError
+          );
+        }
+      });
+    })
+    .catch((err) => {
+      console.error("3DOM: Error injecting content script:", err);
+    });
+}
+
+// Find the scan shown in a viewer tab
+function getScanForViewer(tabId) {
+  for (const scan of scans.values()) {
+    if (scan.viewerTabId === tabId) {
+      return scan;
+    }
+  }
+  return null;
+}
+
+// Find the scan a tab's live patches go to
+function getLiveScanForSource(tabId) {
+  for (const scan of scans.values()) {
+    if (scan.sourceTabId === tabId && scan.live) {
+      return scan;
+    }
+  }
+  return null;
+}
+
+// Reset the toolbar icon of a tab after scanning
+function resetScanIcon(tabId) {
+  chrome.action.setIcon({
+    path: {
+      16: "/images/icon16.png",
+      48: "/images/icon48.png",
+      128: "/images/icon128.png",
+    },
+    tabId: tabId,
+  });
+}
+
+// Scan a tab: open the viewer with a loading screen and send scanMessage (a
+// "scanDOM" message, optionally naming the subtree to scan) to the content
+// script. options.comparisonSlot files the finished scan in that slot.
+function startScan(tab, scanMessage, options = {}) {
+  // A scan of this tab that hasn't finished is replaced by the new one
+  const previousScan = scans.get(scanningTabs.get(tab.id));
+  if (previousScan) {
+    notifyViewerOfError(
+      previousScan,
+      "A newer scan of the page replaced this one"
+    );
+    scans.delete(previousScan.scanId);
+  }
+
+  const scan = {
+    scanId: createScanId(),
+    sourceTabId: tab.id,
+    viewerTabId: null,
+    viewerReady: false,
+    domData: null,
+    transfer: null,
+    thumbnail: null,
+    live: false,
+    saveTimer: null,
+    comparisonSlot: options.comparisonSlot || null,
+  };
+  scans.set(scan.scanId, scan);
+  scanningTabs.set(tab.id, scan.scanId);
 
   // Change the icon to indicate scanning
   chrome.action.setIcon({
@@ -40,139 +298,158 @@ chrome.action.onClicked.addListener((tab) => {
     console.warn("Notifications API not available:", error);
   }
 
-  // Immediately create the viewer tab with a loading screen
-  chrome.tabs.create(
-    {
-      url: chrome.runtime.getURL("viewer.html?loading=true"),
-      active: true,
-    },
-    (newTab) => {
-      // Store the viewer tab ID
-      viewerTabId = newTab.id;
-
-      // Check if the content script is already active in this tab
-      if (contentScriptActive[tab.id]) {
-        // Content script is already running, just send message to scan DOM
-        chrome.tabs.sendMessage(tab.id, { action: "scanDOM" }, (response) => {
-          if (chrome.runtime.lastError) {
-            console.error("Error sending message:", chrome.runtime.lastError);
-            notifyViewerOfError(
-              "Failed to communicate with the content script"
-            );
-            return;
-          }
-          console.log("3DOM: DOM scanning initiated", response);
-        });
-      } else {
-        // Inject the content script if it's not already active
-        chrome.scripting
-          .executeScript({
-            target: { tabId: tab.id },
-            files: ["scripts/content.js"],
-          })
-          .then(() => {
-            // Mark this tab as having the content script active
-            contentScriptActive[tab.id] = true;
-
-            // Send message to content script to scan the DOM
-            chrome.tabs.sendMessage(
-              tab.id,
-              { action: "scanDOM" },
-              (response) => {
+  // Screenshot the page for the scan library while it is still the visible
+  // tab, then open the viewer
+  captureTab(tab).then((screenshot) => {
+    scan.thumbnail = createThumbnail(screenshot);
+
+    // Create the viewer tab with a loading screen. While the page is
+    // auto-scrolled before the scan, the viewer opens in the background:
+    // hidden tabs stop rendering, and lazy loaders depend on it.
+    loadSettings().then((settings) => {
+      chrome.tabs.create(
+        {
+          url: chrome.runtime.getURL(
+            `viewer.html?loading=true&scan=${scan.scanId}`
+          ),
+          active: !settings.autoScroll,
+        },
+        (newTab) => {
+          // Bind the viewer tab to this scan
+          scan.viewerTabId = newTab.id;
+          scan.viewerReady = false;
+
+          ensureContentScript(tab.id)
+            .then(() => {
+              // Send message to content script to scan the DOM
+              chrome.tabs.sendMessage(tab.id, scanMessage, (response) => {
                 if (chrome.runtime.lastError) {
                   console.error(
                     "Error sending message:",
                     chrome.runtime.lastError
                   );
                   notifyViewerOfError(
+                    scan,
                     "Failed to communicate with the content script"
                   );
                   return;
                 }
                 console.log("3DOM: DOM scanning initiated", response);
-              }
-            );
-          })
-          .catch((err) => {
-            console.error("3DOM: Error injecting content script:", err);
-            // Reset icon if there's an error
-            chrome.action.setIcon({
-              path: {
-                16: "/images/icon16.png",
-                48: "/images/icon48.png",
-                128: "/images/icon128.png",
-              },
-              tabId: tab.id,
+              });
+            })
+            .catch((err) => {
+              console.error("3DOM: Error injecting content script:", err);
+              // Reset icon if there's an error
+              resetScanIcon(tab.id);
+              notifyViewerOfError(
+                scan,
+                "Failed to inject the content script"
+              );
             });
-            notifyViewerOfError("Failed to inject the content script");
-          });
-      }
-    }
-  );
-});
+        }
+      );
+    });
+  });
+}
 
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Content script ready notification
   if (message.action === "contentScriptReady") {
     console.log("3DOM: Content script ready in tab", sender.tab?.id);
-    if (sender.tab?.id) {
-      contentScriptActive[sender.tab.id] = true;
-    }
     sendResponse({ status: "acknowledged" });
     return true;
   }
 
-  // DOM scan complete with data
-  if (message.action === "domScanComplete") {
-    console.log(
-      "3DOM: DOM scan complete, data size:",
-      JSON.stringify(message.data).length / 1024,
-      "KB"
-    );
+  // Fetch an image for the content script (see image-proxy.js)
+  if (message.action === "proxyImage") {
+    proxyImage(message.url, message.maxSize).then(sendResponse);
+    return true;
+  }
 
-    // Store the data in memory
-    currentDomData = message.data;
+  // The user picked an element with the picker - scan its subtree
+  if (message.action === "subtreePicked") {
+    if (sender.tab) {
+      startScan(sender.tab, { action: "scanDOM", root: "picked" });
+    }
+    sendResponse({ status: "scanning" });
+    return true;
+  }
 
-    // Reset the browser action icon
-    if (scanningTabId) {
-      chrome.action.setIcon({
-        path: {
-          16: "/images/icon16.png",
-          48: "/images/icon48.png",
-          128: "/images/icon128.png",
-        },
-        tabId: scanningTabId,
+  // Messages from a page being scanned belong to that tab's current scan
+  if (
+    ["scanProgress", "scanStart", "scanChunk", "scanEnd"].includes(
+      message.action
+    )
+  ) {
+    const scan = sender.tab ? scans.get(scanningTabs.get(sender.tab.id)) : null;
+    if (!scan) {
+      sendResponse({
+        status: "error",
+        error: "No scan in progress for this tab",
       });
+      return true;
+    }
+    return handleScanMessage(scan, message, sender, sendResponse);
+  }
 
-      // Clear scanning state
-      scanningTabId = null;
+  // Viewer toggled live updates - forward to the page its scan came from
+  if (message.action === "setLiveScan") {
+    const scan = sender.tab ? getScanForViewer(sender.tab.id) : null;
+    if (!scan || !scan.sourceTabId) {
+      sendResponse({ status: "error", error: "No scanned page to watch" });
+      return true;
     }
 
-    // If we already have a viewer tab open, send the data to it
-    if (viewerTabId) {
-      chrome.tabs.sendMessage(
-        viewerTabId,
-        {
-          action: "domDataReady",
-          data: currentDomData,
-        },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            // If there was an error communicating with the tab, it might have been closed
-            console.error(
-              "Error sending data to viewer tab:",
-              chrome.runtime.lastError
-            );
-            viewerTabId = null;
-            // Open a new viewer tab
-            open3DViewer();
-          }
+    chrome.tabs.sendMessage(
+      scan.sourceTabId,
+      { action: "setLiveScan", enabled: message.enabled },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          console.error("Error toggling live scan:", chrome.runtime.lastError);
+          sendResponse({
+            status: "error",
+            error: "The scanned page is no longer available",
+          });
+          return;
         }
-      );
-    } else {
-      // Open a new viewer tab if one doesn't exist
-      open3DViewer();
+
+        // A page sends its live patches to one scan at a time
+        if (message.enabled) {
+          scans.forEach((other) => {
+            if (
+              other !== scan &&
+              other.live &&
+              other.sourceTabId === scan.sourceTabId
+            ) {
+              other.live = false;
+              notifyViewerLiveStopped(other);
+            }
+          });
+        }
+        scan.live = message.enabled;
+        sendResponse(response);
+      }
+    );
+    return true;
+  }
+
+  // Incremental changes from a live-scanned page
+  if (message.action === "liveScanPatch") {
+    const scan = sender.tab ? getLiveScanForSource(sender.tab.id) : null;
+    if (!scan || !scan.domData) {
+      sendResponse({ status: "ignored" });
+      return true;
+    }
+
+    applyDomPatch(scan.domData, message.patch);
+    scheduleScanSave(scan);
+
+    if (scan.viewerTabId) {
+      chrome.tabs.sendMessage(scan.viewerTabId, {
+        action: "domDataPatch",
+        patch: message.patch,
+      });
     }
 
     sendResponse({ status: "received" });
@@ -181,62 +458,415 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   // Request for DOM data from viewer page
   if (message.action === "requestDOMData") {
-    console.log("3DOM: Viewer requested DOM data");
+    console.log("3DOM: Viewer requested DOM data for", message.scanId);
 
-    // Store the viewer tab ID for future communications
+    // A viewer for a scan this worker doesn't hold (a finished scan that is
+    // no longer open, or any scan after the worker was restarted) loads it
+    // from the scan store. So does a second viewer of a finished scan, which
+    // stays bound to the first.
+    const scan = scans.get(message.scanId);
+    const openElsewhere =
+      scan &&
+      scan.viewerTabId &&
+      scan.viewerTabId !== sender.tab?.id &&
+      scan.transfer &&
+      scan.transfer.complete;
+    if (!scan || openElsewhere) {
+      sendResponse(
+        message.scanId
+          ? { status: "stored", scanId: message.scanId }
+          : { status: "error", error: "No scan requested" }
+      );
+      return true;
+    }
+
+    // Bind this viewer tab to the scan; from now on chunks are forwarded as
+    // they arrive
     if (sender.tab?.id) {
-      viewerTabId = sender.tab.id;
+      scan.viewerTabId = sender.tab.id;
+    }
+    scan.viewerReady = true;
+
+    // The scan is underway but nothing has arrived yet
+    if (!scan.domData) {
+      sendResponse({ status: "pending" });
+      return true;
     }
 
-    // Send the DOM data to the viewer
+    // Send the DOM data received so far; the rest follows as chunks
     sendResponse({
       status: "success",
-      data: currentDomData,
+      data: scan.domData,
+      complete: scan.transfer.complete,
+      seq: scan.transfer.nextSeq - 1,
     });
 
     return true;
   }
 });
 
-// Clean up when tabs are closed
-chrome.tabs.onRemoved.addListener((tabId) => {
-  if (contentScriptActive[tabId]) {
-    delete contentScriptActive[tabId];
+// Handle progress and the chunked transfer of a scan from its source tab
+function handleScanMessage(scan, message, sender, sendResponse) {
+  // Pre-scan progress (auto-scrolling the page for lazy content)
+  if (message.action === "scanProgress") {
+    const progress = message.progress;
+    if (progress.phase === "autoScroll") {
+      chrome.action.setBadgeText({
+        text: String(progress.step),
+        tabId: scan.sourceTabId,
+      });
+    }
+
+    forwardToViewer(scan, { action: "scanProgress", progress: progress }, () =>
+      sendResponse({ status: "ack" })
+    );
+    return true;
   }
 
-  // If viewer tab is closed, clear the DOM data
-  if (tabId === viewerTabId) {
-    currentDomData = null;
-    viewerTabId = null;
+  // Chunked scan transfer: header
+  if (message.action === "scanStart") {
+    console.log(
+      `3DOM: Receiving scan ${scan.scanId} (${message.header.elementCount} elements, ${message.totalChunks} chunks)`
+    );
+
+    // The page is captured; show the viewer (it may have opened in the
+    // background for an auto-scroll pre-pass)
+    chrome.action.setBadgeText({ text: "", tabId: scan.sourceTabId });
+    if (scan.viewerTabId) {
+      chrome.tabs.update(scan.viewerTabId, { active: true });
+    }
+
+    scan.domData = {
+      ...message.header,
+      scanId: scan.scanId,
+      elements: [],
+    };
+    scan.transfer = {
+      transferId: message.transferId,
+      nextSeq: 0,
+      totalChunks: message.totalChunks,
+      complete: false,
+    };
+
+    forwardToViewer(
+      scan,
+      {
+        action: "scanStart",
+        header: { ...message.header, scanId: scan.scanId },
+        totalChunks: message.totalChunks,
+      },
+      () => sendResponse({ status: "ack" })
+    );
+    return true;
   }
 
-  // If scanning tab is closed, reset state
-  if (tabId === scanningTabId) {
-    scanningTabId = null;
+  const transfer = scan.transfer;
+  if (!transfer || transfer.transferId !== message.transferId) {
+    sendResponse({ status: "error", error: "Unknown transfer" });
+    return true;
   }
+
+  // Chunked scan transfer: elements or image payloads, in sequence
+  if (message.action === "scanChunk") {
+    if (message.seq !== transfer.nextSeq) {
+      sendResponse({
+        status: "error",
+        error: `Expected chunk ${transfer.nextSeq}, got ${message.seq}`,
+      });
+      return true;
+    }
+    transfer.nextSeq++;
+
+    if (message.kind === "elements") {
+      scan.domData.elements.push(...message.elements);
+    } else if (message.kind === "images") {
+      applyImagePayloads(scan.domData, message.images);
+    }
+
+    const { action, transferId, ...chunk } = message;
+    forwardToViewer(scan, { action: "scanChunk", ...chunk }, () =>
+      sendResponse({ status: "ack", seq: message.seq })
+    );
+    return true;
+  }
+
+  // Chunked scan transfer: all chunks delivered. A transfer missing chunks
+  // is dropped rather than stored and shown as if it were whole.
+  if (transfer.nextSeq !== transfer.totalChunks) {
+    const error = `Scan transfer incomplete: received ${transfer.nextSeq} of ${transfer.totalChunks} chunks`;
+    console.error(`3DOM: ${error} for scan ${scan.scanId}`);
+    scanningTabs.delete(scan.sourceTabId);
+    resetScanIcon(scan.sourceTabId);
+    notifyViewerOfError(scan, error);
+    scans.delete(scan.scanId);
+    sendResponse({ status: "error", error });
+    return true;
+  }
+  transfer.complete = true;
+  scanningTabs.delete(scan.sourceTabId);
+
+  console.log(
+    `3DOM: DOM scan ${scan.scanId} complete,`,
+    scan.domData.elements.length,
+    "elements"
+  );
+
+  // Reset the browser action icon
+  resetScanIcon(scan.sourceTabId);
+
+  // Keep the scan for viewer reloads once this worker is gone
+  const domData = scan.domData;
+  (scan.thumbnail || Promise.resolve(null))
+    .then((thumbnail) => saveScan(scan.scanId, domData, { thumbnail }))
+    .then((summary) => {
+      if (scan.comparisonSlot) {
+        return setComparisonSlot(scan.comparisonSlot, summary);
+      }
+    })
+    .catch((error) => {
+      console.error("3DOM: Could not save the scan:", error);
+    });
+
+  // Open a new viewer tab if its viewer was closed during the scan
+  if (!scan.viewerTabId) {
+    open3DViewer(scan);
+  }
+
+  forwardToViewer(scan, { action: "scanEnd" }, () =>
+    sendResponse({ status: "ack" })
+  );
+  return true;
+}
+
+// Forward a transfer message to a scan's viewer, then call done. Messages are
+// only forwarded once the viewer has requested data; until then they are
+// buffered in the scan's domData and delivered with the response to that
+// request.
+function forwardToViewer(scan, message, done) {
+  if (!scan.viewerTabId || !scan.viewerReady) {
+    done();
+    return;
+  }
+
+  chrome.tabs.sendMessage(scan.viewerTabId, message, () => {
+    if (chrome.runtime.lastError) {
+      console.warn(
+        "3DOM: Could not forward to viewer tab:",
+        chrome.runtime.lastError.message
+      );
+    }
+    done();
+  });
+}
+
+// Merge image payloads from a transfer chunk back into their elements
+function applyImagePayloads(domData, images) {
+  const elementsByNodeId = new Map();
+  domData.elements.forEach((element) => {
+    elementsByNodeId.set(element.nodeId, element);
+  });
+
+  images.forEach((image) => {
+    const element = elementsByNodeId.get(image.nodeId);
+    const target =
+      element &&
+      (image.target === "imageData"
+        ? element.imageData
+        : element.articleData && element.articleData.image);
+    if (target) {
+      target.src = image.src;
+      delete target.pendingImage;
+    }
+  });
+}
+
+// Screenshot a tab's visible area. Resolves with a data URL, or null if the
+// tab can't be captured (such as chrome:// pages).
+function captureTab(tab) {
+  return new Promise((resolve) => {
+    chrome.tabs.captureVisibleTab(
+      tab.windowId,
+      { format: "jpeg", quality: 70 },
+      (dataUrl) => {
+        if (chrome.runtime.lastError || !dataUrl) {
+          console.warn(
+            "3DOM: Could not capture a thumbnail:",
+            chrome.runtime.lastError && chrome.runtime.lastError.message
+          );
+          resolve(null);
+          return;
+        }
+        resolve(dataUrl);
+      }
+    );
+  });
+}
+
+// Scale a screenshot down to a library thumbnail, the same way proxied images
+// are scaled (see encodeImage in image-proxy.js)
+function createThumbnail(screenshot) {
+  if (!screenshot) {
+    return Promise.resolve(null);
+  }
+
+  return fetch(screenshot)
+    .then((response) => response.blob())
+    .then(encodeImage)
+    .catch((error) => {
+      console.warn("3DOM: Could not scale the thumbnail:", error);
+      return null;
+    });
+}
+
+// Save a scan shortly after live changes stop arriving
+function scheduleScanSave(scan) {
+  if (!scan.transfer || !scan.transfer.complete) {
+    return;
+  }
+
+  clearTimeout(scan.saveTimer);
+  scan.saveTimer = setTimeout(() => {
+    saveScan(scan.scanId, scan.domData).catch((error) => {
+      console.error("3DOM: Could not save live scan changes:", error);
+    });
+  }, SCAN_SAVE_DELAY);
+}
+
+// Stop a page sending live patches
+function stopLiveScan(tabId) {
+  chrome.tabs.sendMessage(
+    tabId,
+    { action: "setLiveScan", enabled: false },
+    () => void chrome.runtime.lastError
+  );
+}
+
+// Clean up when tabs are closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  scans.forEach((scan) => {
+    // A viewer tab was closed: stop watching its page. A finished scan is
+    // dropped from memory (it stays in the scan store); one still in progress
+    // gets a new viewer when it finishes.
+    if (scan.viewerTabId === tabId) {
+      if (scan.live && scan.sourceTabId) {
+        stopLiveScan(scan.sourceTabId);
+      }
+      scan.live = false;
+      scan.viewerTabId = null;
+      scan.viewerReady = false;
+      if (scan.transfer && scan.transfer.complete) {
+        scans.delete(scan.scanId);
+      }
+    }
+
+    // A scanned tab was closed: its scan can no longer be watched, and one
+    // still in progress will never finish
+    if (scan.sourceTabId === tabId) {
+      if (scan.live) {
+        scan.live = false;
+        notifyViewerLiveStopped(scan);
+      }
+      scan.sourceTabId = null;
+      if (scanningTabs.get(tabId) === scan.scanId) {
+        notifyViewerOfError(scan, "The scanned page was closed");
+        scans.delete(scan.scanId);
+      }
+    }
+  });
+  scanningTabs.delete(tabId);
 });
 
-// Function to open the 3D viewer
-function open3DViewer() {
+// Open a viewer tab for a scan
+function open3DViewer(scan) {
   // Simply open the viewer page - it will request data from background
   chrome.tabs.create(
     {
-      url: chrome.runtime.getURL("viewer.html"),
+      url: chrome.runtime.getURL(`viewer.html?scan=${scan.scanId}`),
       active: true,
     },
     (newTab) => {
-      // Store the viewer tab ID
-      viewerTabId = newTab.id;
+      // Bind the viewer tab to the scan
+      scan.viewerTabId = newTab.id;
+      scan.viewerReady = false;
     }
   );
 }
 
-// Function to notify the viewer tab of an error
-function notifyViewerOfError(errorMessage) {
-  if (viewerTabId) {
-    chrome.tabs.sendMessage(viewerTabId, {
+// Notify a scan's viewer tab of an error
+function notifyViewerOfError(scan, errorMessage) {
+  if (scan.viewerTabId) {
+    chrome.tabs.sendMessage(scan.viewerTabId, {
       action: "scanError",
       error: errorMessage,
     });
   }
 }
+
+// File a saved scan in a comparison slot, replacing what was there
+function setComparisonSlot(slot, summary) {
+  return chrome.storage.local
+    .get({ comparisonSlots: {} })
+    .then(({ comparisonSlots }) => {
+      comparisonSlots[slot] = {
+        scanId: summary.id,
+        title: summary.title,
+        url: summary.url,
+        createdAt: summary.createdAt,
+      };
+      return chrome.storage.local.set({ comparisonSlots });
+    })
+    .then(() => {
+      updateComparisonMenu();
+      chrome.notifications.create({
+        type: "basic",
+        iconUrl: "/images/icon128.png",
+        title: "3DOM Comparison",
+        message: `Added "${summary.title || summary.url}" to slot ${slot}`,
+      });
+    });
+}
+
+// Show what each comparison slot holds in its context menu entry
+function updateComparisonMenu() {
+  chrome.storage.local.get({ comparisonSlots: {} }, ({ comparisonSlots }) => {
+    COMPARISON_SLOTS.forEach((slot) => {
+      const entry = comparisonSlots[slot];
+      chrome.contextMenus.update(
+        `compare-${slot}`,
+        {
+          title: entry
+            ? `Slot ${slot} (replace "${entry.title || entry.url}")`
+            : `Slot ${slot}`,
+        },
+        () => void chrome.runtime.lastError
+      );
+    });
+
+    // Comparing needs a scan in every slot
+    chrome.contextMenus.update(
+      "compare-slots",
+      { enabled: COMPARISON_SLOTS.every((slot) => comparisonSlots[slot]) },
+      () => void chrome.runtime.lastError
+    );
+  });
+}
+
+// Open a viewer showing what changed between two saved scans (see diff.js)
+function openComparison(beforeScanId, afterScanId) {
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(
+      `viewer.html?scan=${afterScanId}&compare=${beforeScanId}`
+    ),
+  });
+}
+
+// Tell a scan's viewer that its page no longer sends live patches
+function notifyViewerLiveStopped(scan) {
+  if (scan.viewerTabId) {
+    chrome.tabs.sendMessage(
+      scan.viewerTabId,
+      { action: "liveScanStopped" },
+      () => void chrome.runtime.lastError
+    );
+  }
+}
@@ -18,9 +18,102 @@ if (typeof window.domData === "undefined") {
   };
 }
 
-// Main function to scan the DOM
-function scanDOM() {
+// Node IDs are kept per page session so repeated scans agree on identity
+if (typeof window.domNodeIds === "undefined") {
+  window.domNodeIds = new WeakMap();
+  window.nextDomNodeId = 1;
+}
+
+// Numbers scan data transfers (see sendScanData)
+if (typeof window.nextTransferId === "undefined") {
+  window.nextTransferId = 1;
+}
+
+// Live scanning state (see startLiveScan)
+if (typeof window.liveScan === "undefined") {
+  window.liveScan = null;
+}
+
+// Element picker state (see startElementPicker), and the element it picked
+if (typeof window.elementPicker === "undefined") {
+  window.elementPicker = null;
+  window.pickedScanRoot = null;
+}
+
+// The element last right-clicked, for the "View this element" context menu.
+// Recorded in the capture phase, so pages that handle contextmenu still count.
+if (typeof window.contextMenuTarget === "undefined") {
+  window.contextMenuTarget = null;
+  document.addEventListener(
+    "contextmenu",
+    (event) => {
+      // composedPath reaches into open shadow roots, unlike event.target
+      const target = event.composedPath()[0];
+      window.contextMenuTarget =
+        target && target.nodeType === Node.ELEMENT_NODE
+          ? target
+          : target && target.parentElement;
+    },
+    true
+  );
+}
+
+// Constants use var: this script can be injected into a page more than once
+// (by the manifest and again by the background script), and redeclaring a
+// const would throw
+
+// Debounce for batching mutations, resizes and scrolls into a single patch
+var LIVE_SCAN_DEBOUNCE = 300;
+
+// How long the network must stay quiet after a scroll step, and the most we
+// wait for that per step
+var AUTO_SCROLL_IDLE_TIME = 500;
+var AUTO_SCROLL_STEP_TIMEOUT = 3000;
+
+// Elements per transfer chunk, and approximate bytes of image data per chunk
+var TRANSFER_CHUNK_ELEMENTS = 50;
+var TRANSFER_CHUNK_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Form control capture limits, and what password values are replaced with
+var MAX_SELECT_OPTIONS = 100;
+var MAX_FORM_VALUE_LENGTH = 200;
+var MASKED_VALUE = "\u2022\u2022\u2022\u2022\u2022\u2022\u2022\u2022";
+
+// Weights for the element importance score (see scoreElement)
+var SCORE_WEIGHTS = {
+  interactive: 3,
+  formControl: 1,
+  landmark: 3,
+  header: 2,
+  aboveFold: 2,
+  area: 2,
+  text: 1.5,
+  media: 1.5,
+  scrollContainer: 2,
+};
+
+// Main function to scan the DOM, optionally after scrolling through the page
+// to load lazy content. root limits the scan to one element's subtree.
+function scanDOM(root) {
+  loadSettings()
+    .then((settings) =>
+      (settings.autoScroll ? autoScrollPage(settings) : Promise.resolve()).then(
+        () => captureDOM(settings, root)
+      )
+    )
+    .catch((error) => {
+      console.error("3DOM: Scan failed:", error);
+    });
+}
+
+// Capture the page (or the subtree under root) as it is now and send it to
+// the background script
+function captureDOM(settings, root) {
   console.log("3DOM: Scanning DOM...");
+  const scanRoot = root && root.isConnected ? root : document.body;
+
+  // Live updates filter elements the same way as this scan
+  window.scanSettings = settings;
 
   // Reset the data for a fresh scan
   window.domData = {
@@ -32,46 +125,409 @@ function scanDOM() {
       url: window.location.href,
       scrollX: window.scrollX,
       scrollY: window.scrollY,
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
     },
+    frames: [],
+    scanRoot: null,
   };
 
-  // Start traversing from the body
-  traverseNode(document.body, 0);
+  // Start traversing from the body, or from the picked element
+  if (scanRoot === document.body) {
+    traverseNode(document.body, 0, createTopFrameContext(window.domData));
+  } else {
+    window.domData.scanRoot = getScanRootData(scanRoot);
+    traverseNode(scanRoot, 0, createSubtreeContext(window.domData, scanRoot));
+  }
 
   // Log the results (for development)
   console.log("3DOM: DOM Scan complete", window.domData);
 
   // Process images to avoid CORS issues
-  proxyImages(window.domData).then(() => {
+  return proxyImages(window.domData, settings).then(() => {
     console.log("3DOM: Image proxying complete");
 
     // Optimize the data size before sending
-    const optimizedData = optimizeDOMData(window.domData);
+    const optimizedData = optimizeDOMData(window.domData, settings);
 
-    // Check if data is still too large
-    const dataSize = JSON.stringify(optimizedData).length;
-    const MAX_MESSAGE_SIZE = 10 * 1024 * 1024; // 10MB rough limit
+    // Stream the optimized data to the background script in chunks
+    return sendScanData(optimizedData).catch((error) => {
+      console.error("3DOM: Failed to transfer scan data:", error);
+    });
+  });
+}
 
-    if (dataSize > MAX_MESSAGE_SIZE) {
-      console.warn(
-        `3DOM: Data still too large (${(dataSize / 1024 / 1024).toFixed(
-          2
-        )}MB), applying more aggressive optimization`
-      );
-      // Apply more aggressive optimization
-      optimizedData.elements = optimizedData.elements.slice(0, 100);
+// Scroll the document (or the scroll containers matched by the auto-scroll
+// selector) to the bottom a screen at a time, waiting for the network and
+// images to settle after each step so lazy content loads. Stops at the bottom
+// or at the step or time cap, then restores the original scroll positions.
+function autoScrollPage(settings) {
+  const targets = getAutoScrollTargets(settings.autoScrollSelector);
+  const origins = targets.map((target) => ({
+    target: target,
+    left: target.scrollLeft,
+    top: target.scrollTop,
+  }));
+  const maxSteps = settings.autoScrollMaxSteps;
+  const maxTime = settings.autoScrollMaxTime;
+  const startTime = Date.now();
+
+  console.log(`3DOM: Auto-scrolling ${targets.length} target(s) before scanning`);
+
+  const runStep = (step) => {
+    const elapsed = Date.now() - startTime;
+    if (step >= maxSteps || elapsed >= maxTime) {
+      return Promise.resolve(step >= maxSteps ? "step limit" : "time limit");
+    }
+
+    reportScanProgress({
+      phase: "autoScroll",
+      step: step + 1,
+      maxSteps: maxSteps,
+      elapsed: elapsed,
+      maxTime: maxTime,
+    });
+
+    const moved = targets
+      .map((target) => scrollTargetBy(target, target.clientHeight))
+      .some(Boolean);
+
+    return waitForPageIdle(
+      Math.min(AUTO_SCROLL_STEP_TIMEOUT, maxTime - elapsed)
+    ).then(() => {
+      // At the bottom, and nothing new loaded while we waited
+      if (!moved && targets.every(isScrolledToBottom)) {
+        return "reached bottom";
+      }
+      return runStep(step + 1);
+    });
+  };
+
+  return runStep(0).then((reason) => {
+    console.log(`3DOM: Auto-scroll finished (${reason})`);
+    reportScanProgress({ phase: "scanning" });
+
+    origins.forEach(({ target, left, top }) => {
+      target.scrollTo({ left: left, top: top, behavior: "instant" });
+    });
+
+    // Let the page lay out at its original position before capturing
+    return new Promise((resolve) => setTimeout(resolve, AUTO_SCROLL_IDLE_TIME));
+  });
+}
+
+// Resolve the scroll containers to auto-scroll: those matching the selector,
+// or the document itself
+function getAutoScrollTargets(selector) {
+  const documentTarget = document.scrollingElement || document.documentElement;
+  if (!selector) {
+    return [documentTarget];
+  }
+
+  let matches = [];
+  try {
+    matches = Array.from(document.querySelectorAll(selector));
+  } catch (error) {
+    console.warn("3DOM: Invalid auto-scroll selector", selector, error);
+  }
+
+  const scrollable = matches.filter(
+    (element) => element.scrollHeight > element.clientHeight
+  );
+  return scrollable.length > 0 ? scrollable : [documentTarget];
+}
+
+// Scroll a target down, returning whether it moved
+function scrollTargetBy(target, distance) {
+  const before = target.scrollTop;
+  target.scrollTo({ top: before + distance, behavior: "instant" });
+  return target.scrollTop !== before;
+}
+
+function isScrolledToBottom(target) {
+  return target.scrollTop + target.clientHeight >= target.scrollHeight - 1;
+}
+
+// Wait until no resources have finished loading for AUTO_SCROLL_IDLE_TIME and
+// no image in view is still loading, or until the timeout
+function waitForPageIdle(timeout) {
+  return new Promise((resolve) => {
+    let idleTimer = null;
+    let observer = null;
+
+    const finish = () => {
+      clearTimeout(idleTimer);
+      clearTimeout(timeoutTimer);
+      if (observer) {
+        observer.disconnect();
+      }
+      resolve();
+    };
+
+    const scheduleIdleCheck = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        if (hasPendingImages()) {
+          scheduleIdleCheck();
+        } else {
+          finish();
+        }
+      }, AUTO_SCROLL_IDLE_TIME);
+    };
+
+    const timeoutTimer = setTimeout(finish, timeout);
+
+    // Each finished request pushes the idle check back
+    if (typeof PerformanceObserver !== "undefined") {
+      observer = new PerformanceObserver(scheduleIdleCheck);
+      observer.observe({ type: "resource" });
     }
+    scheduleIdleCheck();
+  });
+}
+
+// Check for images in the viewport that have not finished loading. Lazy images
+// further down never start loading, so they are ignored.
+function hasPendingImages() {
+  return Array.from(document.images).some((image) => {
+    if (image.complete) {
+      return false;
+    }
+    const rect = image.getBoundingClientRect();
+    return rect.bottom >= 0 && rect.top <= window.innerHeight;
+  });
+}
 
-    // Send the optimized data to the background script
-    chrome.runtime.sendMessage({
-      action: "domScanComplete",
-      data: optimizedData,
+// Tell the viewer (through the background script) how the scan is going
+function reportScanProgress(progress) {
+  chrome.runtime.sendMessage({ action: "scanProgress", progress: progress });
+}
+
+// Send scan data as a sequence of acknowledged chunks: a header, element
+// batches, then image payload batches, and finally an end marker. Image data
+// URLs are split out so the viewer can start drawing buildings early.
+function sendScanData(domData) {
+  // Unique even for transfers started in the same millisecond, or from
+  // another tab
+  const transferId = [
+    "transfer",
+    Date.now(),
+    window.nextTransferId++,
+    Math.random().toString(36).slice(2, 8),
+  ].join("-");
+  const { elements, images } = splitImagePayloads(domData.elements);
+
+  const chunks = [];
+  for (let i = 0; i < elements.length; i += TRANSFER_CHUNK_ELEMENTS) {
+    chunks.push({
+      kind: "elements",
+      elements: elements.slice(i, i + TRANSFER_CHUNK_ELEMENTS),
     });
+  }
+
+  let imageBatch = [];
+  let imageBatchBytes = 0;
+  images.forEach((image) => {
+    imageBatch.push(image);
+    imageBatchBytes += image.src.length;
+    if (imageBatchBytes >= TRANSFER_CHUNK_IMAGE_BYTES) {
+      chunks.push({ kind: "images", images: imageBatch });
+      imageBatch = [];
+      imageBatchBytes = 0;
+    }
+  });
+  if (imageBatch.length > 0) {
+    chunks.push({ kind: "images", images: imageBatch });
+  }
+
+  const { elements: _elements, ...header } = domData;
+  header.elementCount = elements.length;
+  header.imageCount = images.length;
+
+  console.log(
+    `3DOM: Sending ${elements.length} elements and ${images.length} images in ${chunks.length} chunks`
+  );
+
+  // Each message waits for the previous acknowledgement
+  let sequence = sendTransferMessage({
+    action: "scanStart",
+    transferId: transferId,
+    header: header,
+    totalChunks: chunks.length,
+  });
+  chunks.forEach((chunk, seq) => {
+    sequence = sequence.then(() =>
+      sendTransferMessage({
+        action: "scanChunk",
+        transferId: transferId,
+        seq: seq,
+        ...chunk,
+      })
+    );
+  });
+  return sequence.then(() =>
+    sendTransferMessage({
+      action: "scanEnd",
+      transferId: transferId,
+      totalChunks: chunks.length,
+    })
+  );
+}
+
+// Send one transfer message and resolve once the background acknowledges it
+function sendTransferMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || response.status !== "ack") {
+        reject(
+          new Error(
+            `Chunk ${message.seq ?? message.action} was not acknowledged: ${
+              response && response.error
+            }`
+          )
+        );
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+// Move data URL image payloads out of the elements into separate records.
+// Elements keep a pendingImage flag until the payload arrives.
+function splitImagePayloads(elements) {
+  const images = [];
+
+  const split = elements.map((element) => {
+    const copy = { ...element };
+
+    if (copy.imageData && isDataUrl(copy.imageData.src)) {
+      images.push({
+        nodeId: copy.nodeId,
+        target: "imageData",
+        src: copy.imageData.src,
+      });
+      copy.imageData = { ...copy.imageData, src: null, pendingImage: true };
+    }
+
+    if (
+      copy.articleData &&
+      copy.articleData.image &&
+      isDataUrl(copy.articleData.image.src)
+    ) {
+      images.push({
+        nodeId: copy.nodeId,
+        target: "articleImage",
+        src: copy.articleData.image.src,
+      });
+      copy.articleData = {
+        ...copy.articleData,
+        image: { ...copy.articleData.image, src: null, pendingImage: true },
+      };
+    }
+
+    return copy;
   });
+
+  return { elements: split, images: images };
+}
+
+function isDataUrl(src) {
+  return typeof src === "string" && src.startsWith("data:");
+}
+
+// Traversal context for the top-level document. Positions are recorded in page
+// coordinates, so the offset is the current scroll position. Captured elements
+// and frames are pushed to output.elements and output.frames, and if the output
+// has a nodes map, each captured node is recorded there by node ID.
+// parentNodeId is the node ID of the captured element the traversal starts under,
+// stackingPath the stacking path of the context it paints in, positioning
+// the fixed or sticky ancestor it moves with (if any), and scrollContainer the
+// inner scroll container it sits in (if any).
+function createTopFrameContext(
+  output,
+  parentNodeId = null,
+  stackingPath = [],
+  positioning = null,
+  scrollContainer = null
+) {
+  return {
+    frameId: null,
+    frameLevel: 0,
+    view: window,
+    offsetX: window.scrollX,
+    offsetY: window.scrollY,
+    parentNodeId: parentNodeId,
+    stackingPath: stackingPath,
+    positioning: positioning,
+    scrollContainer: scrollContainer,
+    output: output,
+  };
+}
+
+// Traversal context for scanning from an element other than the body. The
+// element keeps what it inherits from its ancestors: stacking context, fixed
+// or sticky positioning and enclosing scroll container.
+function createSubtreeContext(output, root) {
+  const parent = root === document.body ? null : getFlatTreeParent(root);
+  return createTopFrameContext(
+    output,
+    parent ? getNodeId(parent) : null,
+    getChildStackingPath(parent),
+    getInheritedPositioning(parent),
+    getInheritedScrollContainer(parent)
+  );
+}
+
+// Describe the element a subtree scan started from
+function getScanRootData(element) {
+  const rect = element.getBoundingClientRect();
+  return {
+    nodeId: getNodeId(element),
+    tagName: element.tagName,
+    id: element.id || null,
+    selectorPath: getSelectorPath(element),
+    position: {
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+    },
+    dimensions: {
+      width: rect.width,
+      height: rect.height,
+    },
+  };
+}
+
+// Context for the children of a captured element. Elements that create a
+// stacking context become the context their descendants are ordered in.
+function createChildContext(context, elementData) {
+  return {
+    ...context,
+    parentNodeId: elementData.nodeId,
+    stackingPath: elementData.stackingContext
+      ? elementData.stackingPath
+      : context.stackingPath,
+    positioning: elementData.positioning,
+    scrollContainer: elementData.scrollContainer || context.scrollContainer,
+  };
+}
+
+// Get the stable ID of a DOM node, assigning one on first sight
+function getNodeId(node) {
+  let nodeId = window.domNodeIds.get(node);
+  if (!nodeId) {
+    nodeId = `n${window.nextDomNodeId++}`;
+    window.domNodeIds.set(node, nodeId);
+  }
+  return nodeId;
 }
 
 // Recursive function to traverse the DOM tree
-function traverseNode(node, depth) {
+function traverseNode(node, depth, context) {
   // Skip script, style, and hidden elements
   if (
     node.nodeName === "SCRIPT" ||
@@ -84,25 +540,474 @@ function traverseNode(node, depth) {
   }
 
   // Get element data
-  const elementData = extractElementData(node, depth);
+  const elementData = extractElementData(node, depth, context);
 
   // Add to elements array if it's a valid element
   if (elementData) {
-    window.domData.elements.push(elementData);
+    context.output.elements.push(elementData);
+    if (context.output.nodes) {
+      context.output.nodes.set(elementData.nodeId, node);
+    }
+  }
+
+  // Frames are scanned as their own document, offset into page coordinates
+  if (node.nodeName === "IFRAME" || node.nodeName === "FRAME") {
+    traverseFrame(node, depth, context, elementData);
+    return;
+  }
+
+  // Traverse the rendered (flat) tree: hosts with an open shadow root render
+  // their shadow tree, and light DOM children only show up through slots
+  const children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+  if (node.shadowRoot && context.output.observeRoots) {
+    context.output.observeRoots.push(node.shadowRoot);
+  }
+  traverseChildren(
+    children,
+    depth + 1,
+    elementData ? createChildContext(context, elementData) : context
+  );
+}
+
+// Record a frame and, if it is same-origin, scan its document
+function traverseFrame(frameElement, depth, context, elementData) {
+  const view = context.view;
+  const rect = frameElement.getBoundingClientRect();
+  const style = view.getComputedStyle(frameElement);
+
+  // Frame content starts at the content box, inside border and padding
+  const contentX =
+    rect.left + frameElement.clientLeft + (parseFloat(style.paddingLeft) || 0);
+  const contentY =
+    rect.top + frameElement.clientTop + (parseFloat(style.paddingTop) || 0);
+
+  // contentDocument is null (or throws) for cross-origin frames
+  let frameDocument = null;
+  try {
+    frameDocument = frameElement.contentDocument;
+  } catch (error) {
+    frameDocument = null;
+  }
+
+  const frameData = {
+    id: `frame-${getNodeId(frameElement)}`,
+    parentFrameId: context.frameId,
+    level: context.frameLevel + 1,
+    src: frameElement.src || frameElement.getAttribute("src") || "",
+    title: frameElement.title || frameElement.name || "",
+    crossOrigin: !frameDocument || !frameDocument.body,
+    position: {
+      x: contentX + context.offsetX,
+      y: contentY + context.offsetY,
+    },
+    dimensions: {
+      width: frameElement.clientWidth,
+      height: frameElement.clientHeight,
+    },
+  };
+  context.output.frames.push(frameData);
+
+  // Tag the frame element itself so the viewer can label it
+  if (elementData) {
+    elementData.frameData = {
+      id: frameData.id,
+      src: frameData.src,
+      crossOrigin: frameData.crossOrigin,
+    };
+  }
+
+  if (frameData.crossOrigin) {
+    console.log("3DOM: Skipping cross-origin frame", frameData.src);
+    return;
+  }
+
+  if (context.output.observeRoots) {
+    context.output.observeRoots.push(frameDocument);
+  }
+
+  traverseNode(frameDocument.body, depth + 1, {
+    frameId: frameData.id,
+    frameLevel: frameData.level,
+    view: frameDocument.defaultView,
+    offsetX: frameData.position.x,
+    offsetY: frameData.position.y,
+    parentNodeId: elementData ? elementData.nodeId : context.parentNodeId,
+    // A frame's document paints as part of the frame element
+    stackingPath: elementData ? elementData.stackingPath : context.stackingPath,
+    positioning: elementData ? elementData.positioning : context.positioning,
+    // Frames scroll their own document, which the page scan already unrolls
+    scrollContainer: null,
+    output: context.output,
+  });
+}
+
+// Traverse a list of child nodes, expanding <slot> elements into their content
+function traverseChildren(childNodes, depth, context) {
+  for (let i = 0; i < childNodes.length; i++) {
+    const child = childNodes[i];
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      continue;
+    }
+
+    // Slots use display: contents, so they have no box of their own and would
+    // be dropped as hidden. Walk the assigned nodes (or the fallback content).
+    if (child.nodeName === "SLOT") {
+      const assigned = child.assignedElements({ flatten: true });
+      traverseChildren(
+        assigned.length > 0 ? assigned : child.childNodes,
+        depth,
+        context
+      );
+      continue;
+    }
+
+    traverseNode(child, depth, context);
+  }
+}
+
+// Get the parent of an element in the rendered (flat) tree: the slot's parent
+// for slotted elements, the host for shadow root children, and the frame
+// element for a frame's body
+function getFlatTreeParent(element) {
+  // A frame's body is scanned as a child of the frame element
+  if (element === element.ownerDocument.body) {
+    const view = element.ownerDocument.defaultView;
+    return view ? view.frameElement : null;
+  }
+
+  const anchor = element.assignedSlot || element;
+  if (anchor.parentElement) {
+    return anchor.parentElement;
+  }
+
+  const root = anchor.getRootNode();
+  if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+    return root.host;
+  }
+  if (root.nodeType === Node.DOCUMENT_NODE && root.defaultView) {
+    return root.defaultView.frameElement;
+  }
+  return null;
+}
+
+// Position of an element among its parent's element children in the rendered
+// tree. Slotted elements are counted among the nodes assigned to their slot.
+function getChildIndex(element) {
+  if (element.assignedSlot) {
+    return element.assignedSlot
+      .assignedElements({ flatten: true })
+      .indexOf(element);
+  }
+
+  let index = 0;
+  let sibling = element.previousElementSibling;
+  while (sibling) {
+    index++;
+    sibling = sibling.previousElementSibling;
+  }
+  return index;
+}
+
+// Build a CSS selector path for an element, from its nearest ID (or the root of
+// its document) down. Paths that cross into a shadow root are joined with
+// " >>> "; paths inside frames are relative to the frame's document.
+function getSelectorPath(element) {
+  const segments = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    const tagName = current.tagName.toLowerCase();
+
+    if (current.id) {
+      segments.unshift(`${tagName}#${CSS.escape(current.id)}`);
+      break;
+    }
+
+    let segment = tagName;
+    const parent = current.parentElement;
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter(
+        (child) => child.tagName === current.tagName
+      );
+      if (sameTag.length > 1) {
+        segment += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+    }
+    segments.unshift(segment);
+
+    if (!parent) {
+      const root = current.getRootNode();
+      if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+        return `${getSelectorPath(root.host)} >>> ${segments.join(" > ")}`;
+      }
+    }
+    current = parent;
+  }
+
+  return segments.join(" > ");
+}
+
+// Re-point each kept element's parentNodeId at its nearest ancestor that was
+// also kept, using the parent links of every scanned element. Elements whose
+// ancestors were all dropped become roots (parentNodeId null).
+function relinkElementTree(scannedElements, keptElements) {
+  const scannedParents = new Map();
+  scannedElements.forEach((element) => {
+    scannedParents.set(element.nodeId, element.parentNodeId);
+  });
+  const keptIds = new Set(keptElements.map((element) => element.nodeId));
+
+  keptElements.forEach((element) => {
+    let parentNodeId = element.parentNodeId;
+    while (
+      parentNodeId &&
+      !keptIds.has(parentNodeId) &&
+      scannedParents.has(parentNodeId)
+    ) {
+      parentNodeId = scannedParents.get(parentNodeId);
+    }
+    element.parentNodeId = parentNodeId || null;
+  });
+}
+
+// Check whether an element's computed style creates a stacking context.
+// See https://developer.mozilla.org/en-US/docs/Web/CSS/CSS_positioned_layout/Understanding_z-index/Stacking_context
+function createsStackingContext(style, parentStyle) {
+  const notNone = (value) => Boolean(value) && value !== "none";
+
+  return (
+    style.position === "fixed" ||
+    style.position === "sticky" ||
+    (style.zIndex !== "auto" &&
+      (style.position !== "static" || isFlexOrGridItem(parentStyle))) ||
+    parseFloat(style.opacity) < 1 ||
+    notNone(style.transform) ||
+    notNone(style.translate) ||
+    notNone(style.rotate) ||
+    notNone(style.scale) ||
+    notNone(style.filter) ||
+    notNone(style.backdropFilter) ||
+    notNone(style.perspective) ||
+    notNone(style.clipPath) ||
+    notNone(style.maskImage) ||
+    (Boolean(style.mixBlendMode) && style.mixBlendMode !== "normal") ||
+    style.isolation === "isolate" ||
+    /\b(layout|paint|strict|content)\b/.test(style.contain || "") ||
+    /\b(size|inline-size)\b/.test(style.containerType || "") ||
+    /\b(opacity|transform|translate|rotate|scale|filter|perspective|clip-path|mask|isolation|mix-blend-mode)\b/.test(
+      style.willChange || ""
+    )
+  );
+}
+
+// Flex and grid items honour z-index without being positioned
+function isFlexOrGridItem(parentStyle) {
+  return Boolean(parentStyle) && /flex|grid/.test(parentStyle.display);
+}
+
+// Work out where an element paints. The stacking path lists the z-index of
+// each enclosing stacking context followed by the element's own z-index (0 if
+// z-index does not apply), so comparing paths orders elements by paint layer:
+// a z-index: 9999 child of a z-index: 1 context stays below a z-index: 2 sibling.
+function getStackingData(element, style, parentPath) {
+  const parent = getFlatTreeParent(element);
+  const parentStyle =
+    parent && parent.ownerDocument.defaultView
+      ? parent.ownerDocument.defaultView.getComputedStyle(parent)
+      : null;
+
+  const zIndexApplies =
+    style.zIndex !== "auto" &&
+    (style.position !== "static" || isFlexOrGridItem(parentStyle));
+  const ownZ = zIndexApplies ? parseInt(style.zIndex, 10) || 0 : 0;
+
+  return {
+    stackingPath: parentPath.concat(ownZ),
+    stackingContext:
+      element.nodeName === "IFRAME" ||
+      element.nodeName === "FRAME" ||
+      createsStackingContext(style, parentStyle),
+  };
+}
+
+// Get the stacking path that an element's children are ordered in, by walking
+// up its rendered ancestors (used when rescanning part of the page)
+function getChildStackingPath(element) {
+  if (!element) {
+    return [];
+  }
+
+  const parent = getFlatTreeParent(element);
+  const parentPath =
+    parent && element !== document.body ? getChildStackingPath(parent) : [];
+  const style = element.ownerDocument.defaultView.getComputedStyle(element);
+  const stacking = getStackingData(element, style, parentPath);
+  return stacking.stackingContext ? stacking.stackingPath : parentPath;
+}
+
+// Fixed and sticky elements, and everything inside them, move with the viewport
+// rather than the page. Returns { mode, rootNodeId } naming the fixed or sticky
+// element, plus the position in the viewport for fixed content and the offsets
+// and containing block for sticky elements; null for the normal page flow.
+// Fixed elements inside frames are fixed to the frame, so they stay in the flow
+// of their annex unless the frame itself is fixed.
+function getPositioningData(element, style, rect, context) {
+  const inherited = context.positioning;
+  let positioning = null;
+
+  if (inherited && inherited.mode === "fixed") {
+    // Content of a fixed element stays in the overlay, even if sticky itself
+    positioning = { mode: "fixed", rootNodeId: inherited.rootNodeId };
+  } else if (style.position === "fixed" && context.frameId === null) {
+    positioning = { mode: "fixed", rootNodeId: getNodeId(element) };
+  } else if (style.position === "sticky") {
+    positioning = { mode: "sticky", rootNodeId: getNodeId(element) };
+  } else if (inherited) {
+    positioning = { mode: inherited.mode, rootNodeId: inherited.rootNodeId };
+  } else {
+    return null;
+  }
+
+  if (positioning.mode === "fixed") {
+    positioning.viewport = {
+      x: rect.left + context.offsetX - window.scrollX,
+      y: rect.top + context.offsetY - window.scrollY,
+    };
+  }
+
+  // A sticky element can travel anywhere inside its containing block
+  if (positioning.rootNodeId === getNodeId(element) && positioning.mode === "sticky") {
+    const offset = (value) => (value === "auto" ? null : parseFloat(value) || 0);
+    positioning.offsets = {
+      top: offset(style.top),
+      right: offset(style.right),
+      bottom: offset(style.bottom),
+      left: offset(style.left),
+    };
+
+    const container = getFlatTreeParent(element);
+    if (container) {
+      const containerRect = container.getBoundingClientRect();
+      positioning.range = {
+        x: containerRect.left + context.offsetX,
+        y: containerRect.top + context.offsetY,
+        width: containerRect.width,
+        height: containerRect.height,
+      };
+    }
+  }
+
+  return positioning;
+}
+
+// Describe an element's scrollable area if it is an inner scroll container
+// (overflow auto/scroll with content that does not fit), or return null.
+// viewport is the visible slice in page coordinates; origin is where the
+// scrolled content starts, so descendants can be placed within it.
+function getScrollContainerData(element, style, rect, context) {
+  if (element.nodeName === "BODY" || element.nodeName === "HTML") {
+    return null;
+  }
+
+  const scrollable = (overflow) =>
+    overflow === "auto" || overflow === "scroll" || overflow === "overlay";
+  const overflowsX =
+    scrollable(style.overflowX) && element.scrollWidth > element.clientWidth + 1;
+  const overflowsY =
+    scrollable(style.overflowY) &&
+    element.scrollHeight > element.clientHeight + 1;
+  if (!overflowsX && !overflowsY) {
+    return null;
   }
 
-  // Traverse child nodes
-  for (let i = 0; i < node.childNodes.length; i++) {
-    if (node.childNodes[i].nodeType === Node.ELEMENT_NODE) {
-      traverseNode(node.childNodes[i], depth + 1);
+  const viewportX = rect.left + element.clientLeft + context.offsetX;
+  const viewportY = rect.top + element.clientTop + context.offsetY;
+
+  return {
+    id: `scroll-${getNodeId(element)}`,
+    viewport: {
+      x: viewportX,
+      y: viewportY,
+      width: element.clientWidth,
+      height: element.clientHeight,
+    },
+    origin: {
+      x: viewportX - element.scrollLeft,
+      y: viewportY - element.scrollTop,
+    },
+    scrollWidth: element.scrollWidth,
+    scrollHeight: element.scrollHeight,
+    scrollLeft: element.scrollLeft,
+    scrollTop: element.scrollTop,
+  };
+}
+
+// Find the scroll container (if any) an element sits in, by walking up its
+// rendered ancestors (used when rescanning part of the page)
+function getInheritedScrollContainer(element) {
+  let current = element;
+
+  while (current && current.ownerDocument === document) {
+    if (current === document.body) {
+      break;
     }
+    const style = window.getComputedStyle(current);
+    const scrollContainer = getScrollContainerData(
+      current,
+      style,
+      current.getBoundingClientRect(),
+      { offsetX: window.scrollX, offsetY: window.scrollY }
+    );
+    if (scrollContainer) {
+      return scrollContainer;
+    }
+    current = getFlatTreeParent(current);
   }
+
+  return null;
+}
+
+// Find the fixed or sticky element (if any) that an element moves with, by
+// walking up its rendered ancestors (used when rescanning part of the page)
+function getInheritedPositioning(element) {
+  let sticky = null;
+  let current = element;
+
+  while (current && current.ownerDocument === document) {
+    const position = window.getComputedStyle(current).position;
+    if (position === "fixed") {
+      return { mode: "fixed", rootNodeId: getNodeId(current) };
+    }
+    if (position === "sticky" && !sticky) {
+      sticky = { mode: "sticky", rootNodeId: getNodeId(current) };
+    }
+    if (current === document.body) {
+      break;
+    }
+    current = getFlatTreeParent(current);
+  }
+
+  return sticky;
+}
+
+// Describe the shadow host that owns an element, or null for light DOM elements
+function getShadowHostData(element) {
+  // Compare by shape rather than instanceof, which fails across frame realms
+  const root = element.getRootNode();
+  if (root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE || !root.host) {
+    return null;
+  }
+
+  return {
+    tagName: root.host.tagName,
+    id: root.host.id || null,
+  };
 }
 
 // Extract relevant data from a DOM element
-function extractElementData(element, depth) {
-  // Get element's computed style
-  const style = window.getComputedStyle(element);
+function extractElementData(element, depth, context) {
+  // Get element's computed style (from the element's own frame)
+  const style = context.view.getComputedStyle(element);
 
   // Skip elements with no dimensions or that are hidden
   if (
@@ -116,7 +1021,7 @@ function extractElementData(element, depth) {
 
   // Get element's position and size
   const rect = element.getBoundingClientRect();
-  const computedStyle = window.getComputedStyle(element);
+  const computedStyle = style;
 
   // Determine element type and interactivity
   const interactiveTypes = [
@@ -291,22 +1196,40 @@ function extractElementData(element, depth) {
     (cls) => !isTechnicalClass(cls)
   );
 
-  // Get parent ID for hierarchy tracking
-  const parentElement = element.parentElement;
-  const parentId = parentElement ? parentElement.id || null : null;
-
   // Extract additional metadata for museum organization
   const sectionData = extractSectionData(element);
 
+  // Elements rendered inside an open shadow root are tagged with their host
+  const shadowHost = getShadowHostData(element);
+
+  // Paint order, accounting for the stacking contexts the element sits in
+  const stacking = getStackingData(element, computedStyle, context.stackingPath);
+
+  // Whether the element is pinned to the viewport
+  const positioning = getPositioningData(element, computedStyle, rect, context);
+
+  // Inner scroll containers record their full scroll size; their content
+  // records where it sits within the scrolled area
+  const scrollContainer = getScrollContainerData(
+    element,
+    computedStyle,
+    rect,
+    context
+  );
+  const enclosingScroll = context.scrollContainer;
+
   return {
+    nodeId: getNodeId(element),
     id: element.id || null,
     tagName: element.tagName,
     type: elementType,
     classes: meaningfulClasses,
-    parentId: parentId,
+    parentNodeId: context.parentNodeId,
+    childIndex: getChildIndex(element),
+    selectorPath: getSelectorPath(element),
     position: {
-      x: rect.left + window.scrollX,
-      y: rect.top + window.scrollY,
+      x: rect.left + context.offsetX,
+      y: rect.top + context.offsetY,
       z: depth,
     },
     dimensions: {
@@ -314,6 +1237,18 @@ function extractElementData(element, depth) {
       height: rect.height,
     },
     zIndex: computedStyle.zIndex !== 'auto' ? (parseInt(computedStyle.zIndex, 10) || 0) : 0,
+    stackingPath: stacking.stackingPath,
+    stackingContext: stacking.stackingContext,
+    cssPosition: computedStyle.position,
+    positioning: positioning,
+    scrollContainer: scrollContainer,
+    scrollContainerId: enclosingScroll ? enclosingScroll.id : null,
+    scrollPosition: enclosingScroll
+      ? {
+          x: rect.left + context.offsetX - enclosingScroll.origin.x,
+          y: rect.top + context.offsetY - enclosingScroll.origin.y,
+        }
+      : null,
     styles: {
       backgroundColor: bgColor !== "rgba(0, 0, 0, 0)" ? bgColor : null,
       color: textColor,
@@ -325,13 +1260,74 @@ function extractElementData(element, depth) {
     },
     isInteractive: isInteractive,
     textContent: textContent,
+    role: element.getAttribute("role"),
+    landmark: getLandmarkRole(element),
     imageData: imageData,
     articleData: articleData,
     href: element.href || null,
     sectionData: sectionData,
+    shadowHost: shadowHost,
+    formState: getFormState(element),
+    frameId: context.frameId,
   };
 }
 
+// Record the state of a form control: its value (masked for passwords),
+// checked state, placeholder, disabled/required flags and, for selects, the
+// option list. Returns null for other elements.
+function getFormState(element) {
+  const tagName = element.tagName;
+  if (!["INPUT", "TEXTAREA", "SELECT"].includes(tagName)) {
+    return null;
+  }
+
+  const formState = {
+    control: tagName === "INPUT" ? element.type : tagName.toLowerCase(),
+    name: element.name || null,
+    disabled: element.disabled,
+    required: element.required,
+  };
+
+  if (tagName === "SELECT") {
+    const options = Array.from(element.options);
+    formState.multiple = element.multiple;
+    formState.selectedIndex = element.selectedIndex;
+    formState.optionCount = options.length;
+    formState.options = options.slice(0, MAX_SELECT_OPTIONS).map((option) => ({
+      label: option.label || option.text,
+      value: option.value,
+      selected: option.selected,
+      disabled: option.disabled,
+      group:
+        option.parentElement && option.parentElement.tagName === "OPTGROUP"
+          ? option.parentElement.label
+          : null,
+    }));
+    return formState;
+  }
+
+  formState.placeholder = element.placeholder || null;
+
+  if (element.type === "checkbox" || element.type === "radio") {
+    formState.checked = element.checked;
+    formState.indeterminate = element.indeterminate;
+    return formState;
+  }
+
+  // Never copy what the user typed into a password field
+  const value = element.value || "";
+  if (element.type === "password") {
+    formState.value = value ? MASKED_VALUE : "";
+    formState.masked = true;
+  } else {
+    formState.value =
+      value.length > MAX_FORM_VALUE_LENGTH
+        ? value.substring(0, MAX_FORM_VALUE_LENGTH) + "..."
+        : value;
+  }
+  return formState;
+}
+
 // Extract article data including image and text content
 function extractArticleData(element) {
   // Initialize article data
@@ -371,7 +1367,9 @@ function extractArticleData(element) {
       "figure, [class*='image'], [class*='media']"
     );
     if (figureElement) {
-      const style = window.getComputedStyle(figureElement);
+      // The figure's own window, which differs from ours inside frames
+      const view = figureElement.ownerDocument.defaultView || window;
+      const style = view.getComputedStyle(figureElement);
       const bgImage = style.backgroundImage;
       if (bgImage && bgImage !== "none") {
         const urlMatch = bgImage.match(/url\(['"]?(.*?)['"]?\)/);
@@ -516,6 +1514,11 @@ function classifyElement(element) {
     return "media";
   }
 
+  // Check for embedded documents
+  if (tagName === "iframe" || tagName === "frame") {
+    return "frame";
+  }
+
   // Default classification
   if (tagName === "div" || tagName === "section" || tagName === "article") {
     return "container";
@@ -529,9 +1532,56 @@ function classifyElement(element) {
   return "other";
 }
 
+// Get the ARIA landmark an element represents, if any
+function getLandmarkRole(element) {
+  const landmarkRoles = [
+    "banner",
+    "complementary",
+    "contentinfo",
+    "form",
+    "main",
+    "navigation",
+    "region",
+    "search",
+  ];
+  const role = element.getAttribute("role");
+  if (role && landmarkRoles.includes(role)) {
+    return role;
+  }
+
+  switch (element.tagName) {
+    case "NAV":
+      return "navigation";
+    case "MAIN":
+      return "main";
+    case "ASIDE":
+      return "complementary";
+    case "FORM":
+      return "form";
+    case "SEARCH":
+      return "search";
+    case "HEADER":
+    case "FOOTER":
+      // Only page-level headers and footers are landmarks
+      if (!element.closest("article, aside, main, nav, section")) {
+        return element.tagName === "HEADER" ? "banner" : "contentinfo";
+      }
+      return null;
+    case "SECTION":
+      return element.hasAttribute("aria-label") ||
+        element.hasAttribute("aria-labelledby")
+        ? "region"
+        : null;
+    default:
+      return null;
+  }
+}
+
 // Check if an element is hidden
 function isHidden(element) {
-  const style = window.getComputedStyle(element);
+  // Use the element's own window so frame documents resolve correctly
+  const view = element.ownerDocument.defaultView || window;
+  const style = view.getComputedStyle(element);
   return (
     style.display === "none" ||
     style.visibility === "hidden" ||
@@ -540,14 +1590,48 @@ function isHidden(element) {
   );
 }
 
-// Listen for messages from the background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "scanDOM") {
-    scanDOM();
-    sendResponse({ status: "scanning" });
-    return true;
-  }
-});
+// Listen for messages from the background script, once: a second injection
+// would otherwise add another listener and answer every message twice
+if (typeof window.contentScriptListening === "undefined") {
+  window.contentScriptListening = true;
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === "ping") {
+      sendResponse({ status: "ready" });
+      return true;
+    }
+
+    if (message.action === "scanDOM") {
+      scanDOM(resolveScanRoot(message.root));
+      sendResponse({ status: "scanning" });
+      return true;
+    }
+
+    if (message.action === "getContextTarget") {
+      sendResponse({
+        captured: Boolean(
+          window.contextMenuTarget && window.contextMenuTarget.isConnected
+        ),
+      });
+      return true;
+    }
+
+    if (message.action === "startPicker") {
+      startElementPicker();
+      sendResponse({ status: "picking" });
+      return true;
+    }
+
+    if (message.action === "setLiveScan") {
+      if (message.enabled) {
+        startLiveScan();
+      } else {
+        stopLiveScan();
+      }
+      sendResponse({ status: message.enabled ? "live" : "stopped" });
+      return true;
+    }
+  });
+}
 
 // Also scan on page load
 document.addEventListener("DOMContentLoaded", () => {
@@ -652,236 +1736,105 @@ function extractSectionData(element) {
   return sectionData;
 }
 
-// Function to proxy images to avoid CORS issues
-function proxyImages(domData) {
-  console.log("3DOM: Proxying external images to avoid CORS issues...");
-
-  const pendingPromises = [];
-
-  // Process main elements with images
+// Fetch external images through the background script, which has host
+// permissions, caches by URL and limits how many download at once. Each image
+// records how it was loaded in proxyStatus ("cached", "revalidated",
+// "fetched", "inline" or "failed"); only failures get a placeholder.
+// Progress goes to reportProgress, the scan's progress by default.
+function proxyImages(domData, settings, reportProgress = reportScanProgress) {
+  const images = [];
   domData.elements.forEach((element) => {
     if (element.imageData && element.imageData.needsProxy) {
-      console.log("Processing image:", element.imageData.src);
-
-      // Store the original URL immediately as a backup
-      element.imageData.originalSrc = element.imageData.src;
-
-      const promise = fetchImageAsDataUrl(element.imageData.src)
-        .then((result) => {
-          if (result) {
-            // Handle different result types
-            if (typeof result === "string") {
-              // Simple data URL string
-              element.imageData.src = result;
-            } else if (result.dataUrl) {
-              // Enhanced result object with metadata
-              element.imageData.src = result.dataUrl;
-              element.imageData.isPlaceholder = result.isPlaceholder || false;
-            }
-          } else {
-            // Ensure we at least have a placeholder
-            element.imageData.isPlaceholder = true;
-          }
-          delete element.imageData.needsProxy;
-        })
-        .catch((err) => {
-          console.error("Failed to proxy image:", err);
-          // Ensure the original source is preserved for fallback
-          element.imageData.isPlaceholder = true;
-          delete element.imageData.needsProxy;
-        });
-
-      pendingPromises.push(promise);
+      images.push(element.imageData);
     }
-
-    // Process article images
     if (
       element.articleData &&
       element.articleData.image &&
       element.articleData.image.needsProxy
     ) {
-      // Store the original URL immediately as a backup
-      element.articleData.image.originalSrc = element.articleData.image.src;
-
-      const promise = fetchImageAsDataUrl(element.articleData.image.src)
-        .then((result) => {
-          if (result) {
-            // Handle different result types
-            if (typeof result === "string") {
-              // Simple data URL string
-              element.articleData.image.src = result;
-            } else if (result.dataUrl) {
-              // Enhanced result object with metadata
-              element.articleData.image.src = result.dataUrl;
-              element.articleData.image.isPlaceholder =
-                result.isPlaceholder || false;
-            }
-          } else {
-            // Ensure we at least have a placeholder
-            element.articleData.image.isPlaceholder = true;
-          }
-          delete element.articleData.image.needsProxy;
-        })
-        .catch((err) => {
-          console.error("Failed to proxy article image:", err);
-          // Ensure the original source is preserved for fallback
-          element.articleData.image.isPlaceholder = true;
-          delete element.articleData.image.needsProxy;
-        });
-
-      pendingPromises.push(promise);
+      images.push(element.articleData.image);
     }
   });
 
-  return Promise.all(pendingPromises);
-}
+  console.log(`3DOM: Proxying ${images.length} images...`);
 
-// Fetch an image and convert it to a data URL
-function fetchImageAsDataUrl(url) {
-  return new Promise((resolve, reject) => {
-    // Try the direct approach first
-    tryDirectFetch(url)
-      .then(resolve)
-      .catch((err) => {
-        console.log("Direct fetch failed, trying alternative approach:", err);
-        // If direct fetch fails, try alternative approach
-        tryAlternativeFetch(url).then(resolve).catch(reject);
-      });
-  });
-}
+  // Request each distinct URL once
+  const requests = new Map();
+  const stats = {};
+  let done = 0;
 
-// Direct approach - load the image with crossOrigin
-function tryDirectFetch(url) {
-  return new Promise((resolve, reject) => {
-    console.log("Trying direct fetch for:", url);
+  const pendingPromises = images.map((imageData) => {
+    const url = imageData.src;
+    imageData.originalSrc = url;
 
-    // Skip unnecessary processing for data URLs
-    if (url.startsWith("data:")) {
-      console.log("URL is already a data URL, returning as is");
-      return resolve(url);
+    if (!requests.has(url)) {
+      requests.set(url, requestProxiedImage(url, settings.maxImageSize));
     }
 
-    // Create a canvas to draw the image
-    const img = new Image();
-
-    // Set up cross-origin handling
-    img.crossOrigin = "anonymous";
-
-    img.onload = function () {
-      try {
-        const canvas = document.createElement("canvas");
-        canvas.width = img.width || 400;
-        canvas.height = img.height || 300;
-
-        const ctx = canvas.getContext("2d");
-        ctx.drawImage(img, 0, 0);
-
-        // Try to convert to data URL, with fallback to blob URL
-        try {
-          // Convert to data URL
-          const dataUrl = canvas.toDataURL("image/jpeg", 0.7);
-          console.log("Successfully created data URL from image");
-          resolve(dataUrl);
-        } catch (canvasErr) {
-          console.warn(
-            "Canvas tainted by CORS, trying blob approach:",
-            canvasErr
-          );
-          // If toDataURL fails due to CORS, try blob
-          canvas.toBlob(
-            function (blob) {
-              if (blob) {
-                const blobUrl = URL.createObjectURL(blob);
-                console.log("Successfully created blob URL from image");
-                resolve({
-                  dataUrl: blobUrl,
-                  originalUrl: url,
-                  isPlaceholder: false,
-                });
-              } else {
-                reject(new Error("Failed to create blob from canvas"));
-              }
-            },
-            "image/jpeg",
-            0.7
-          );
+    return requests
+      .get(url)
+      .then((result) => {
+        if (result.dataUrl) {
+          return result;
         }
-      } catch (err) {
-        console.error("Error converting image to data URL:", err);
-        reject(err);
-      }
-    };
-
-    img.onerror = function (err) {
-      console.warn("Failed to load image with crossOrigin:", url, err);
-      reject(err);
-    };
-
-    // Try to load with credentials
-    img.src = url;
+        console.warn("3DOM: Failed to proxy image:", url, result.error);
+        return createPlaceholderDataUrl(url).then((placeholder) => ({
+          status: "failed",
+          error: result.error,
+          dataUrl: placeholder.dataUrl,
+        }));
+      })
+      .catch((error) => ({ status: "failed", error: error.message }))
+      .then((result) => {
+        if (result.dataUrl) {
+          imageData.src = result.dataUrl;
+        }
+        imageData.proxyStatus = result.status;
+        imageData.isPlaceholder = result.status === "failed";
+        delete imageData.needsProxy;
+        stats[result.status] = (stats[result.status] || 0) + 1;
+
+        done++;
+        if (done % 5 === 0 || done === images.length) {
+          reportProgress({
+            phase: "images",
+            done: done,
+            total: images.length,
+            failed: stats.failed || 0,
+          });
+        }
+      });
+  });
 
-    // Set a timeout to avoid hanging
-    setTimeout(() => {
-      if (!img.complete) {
-        console.warn("Image loading timed out:", url);
-        reject(new Error("Image loading timed out"));
-      }
-    }, 5000); // Increased timeout for better chances
+  return Promise.all(pendingPromises).then(() => {
+    domData.imageStats = stats;
+    console.log("3DOM: Image proxy results", stats);
   });
 }
 
-// Alternative approach - try using a blob URL and XHR
-function tryAlternativeFetch(url) {
-  return new Promise((resolve, reject) => {
-    console.log("Trying alternative fetch for:", url);
-
-    // Skip unnecessary processing for data URLs
-    if (url.startsWith("data:")) {
-      console.log("URL is already a data URL, returning as is");
-      return resolve(url);
-    }
+// Ask the background script for an image as a data URL, scaled down to fit
+// maxSize pixels
+function requestProxiedImage(url, maxSize) {
+  if (url.startsWith("data:")) {
+    return Promise.resolve({ status: "inline", dataUrl: url });
+  }
 
-    // Try using XHR to get image with correct CORS headers
-    const xhr = new XMLHttpRequest();
-    xhr.responseType = "blob";
-    xhr.timeout = 5000; // 5 second timeout
-
-    xhr.onload = function () {
-      if (xhr.status === 200) {
-        const blob = xhr.response;
-        const blobUrl = URL.createObjectURL(blob);
-        console.log("Successfully retrieved image via XHR");
-
-        // We can use the blob URL directly in most cases
-        resolve({
-          dataUrl: blobUrl,
-          originalUrl: url,
-          isPlaceholder: false,
-        });
-      } else {
-        console.warn("XHR request failed with status:", xhr.status);
-        createPlaceholderDataUrl(url).then(resolve).catch(reject);
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { action: "proxyImage", url, maxSize },
+      (response) => {
+        if (chrome.runtime.lastError || !response) {
+          resolve({
+            status: "failed",
+            error: chrome.runtime.lastError
+              ? chrome.runtime.lastError.message
+              : "No response",
+          });
+          return;
+        }
+        resolve(response);
       }
-    };
-
-    xhr.ontimeout = function () {
-      console.warn("XHR request timed out for:", url);
-      createPlaceholderDataUrl(url).then(resolve).catch(reject);
-    };
-
-    xhr.onerror = function () {
-      console.warn("XHR failed for:", url);
-      createPlaceholderDataUrl(url).then(resolve).catch(reject);
-    };
-
-    // Open and send the request
-    try {
-      xhr.open("GET", url, true);
-      xhr.send();
-    } catch (err) {
-      console.error("Failed to initialize XHR:", err);
-      createPlaceholderDataUrl(url).then(resolve).catch(reject);
-    }
+    );
   });
 }
 
@@ -943,172 +1896,780 @@ function createPlaceholderDataUrl(url) {
   });
 }
 
+// Truncate large text content in place
+function truncateElementText(element, settings) {
+  const maxLength = settings.maxTextLength;
+  if (element.textContent && element.textContent.length > maxLength) {
+    element.textContent = element.textContent.substring(0, maxLength) + "...";
+  }
+
+  if (element.articleData) {
+    if (
+      element.articleData.content &&
+      element.articleData.content.length > 1000
+    ) {
+      element.articleData.content =
+        element.articleData.content.substring(0, 1000) + "...";
+    }
+
+    if (
+      element.articleData.summary &&
+      element.articleData.summary.length > 300
+    ) {
+      element.articleData.summary =
+        element.articleData.summary.substring(0, 300) + "...";
+    }
+  }
+}
+
+// Check whether an element is worth sending to the viewer
+function isMeaningfulElement(element, settings) {
+  return getDropReason(element, settings) === null;
+}
+
+// Explain why an element would be dropped, or null if it is kept
+function getDropReason(element, settings) {
+  // Remove tiny elements
+  const minSize = settings.minElementSize;
+  if (element.dimensions.width < minSize || element.dimensions.height < minSize) {
+    return "tooSmall";
+  }
+
+  // Remove elements without meaningful content or visual aspects
+  if (
+    !element.imageData &&
+    !element.textContent &&
+    !element.articleData &&
+    !element.frameData &&
+    !element.scrollContainer &&
+    !element.isInteractive &&
+    !element.landmark &&
+    element.type !== "header" &&
+    element.type !== "navigation"
+  ) {
+    return "noContent";
+  }
+
+  return null;
+}
+
+// Score how important an element is to a reader of the page
+function scoreElement(element, pageMetrics) {
+  let score = 0;
+
+  if (element.isInteractive) {
+    score += SCORE_WEIGHTS.interactive;
+  }
+  if (element.type === "form") {
+    score += SCORE_WEIGHTS.formControl;
+  }
+  if (element.landmark) {
+    score += SCORE_WEIGHTS.landmark;
+  }
+  if (element.type === "header") {
+    score += SCORE_WEIGHTS.header;
+  }
+
+  // Visible without scrolling on first load
+  const foldHeight = pageMetrics.viewportHeight || window.innerHeight;
+  if (element.position.y < foldHeight) {
+    score += SCORE_WEIGHTS.aboveFold;
+  }
+
+  // Area on a log scale relative to the page, so huge wrappers don't dominate
+  const area = element.dimensions.width * element.dimensions.height;
+  const pageArea = Math.max(pageMetrics.width * pageMetrics.height, 1);
+  score +=
+    SCORE_WEIGHTS.area *
+    Math.min(1, Math.log10(1 + area) / Math.log10(1 + pageArea));
+
+  if (element.textContent) {
+    score += SCORE_WEIGHTS.text * Math.min(1, element.textContent.length / 200);
+  }
+  if (element.imageData || element.articleData) {
+    score += SCORE_WEIGHTS.media;
+  }
+  if (element.scrollContainer) {
+    score += SCORE_WEIGHTS.scrollContainer;
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+// Keep the highest-scoring elements within the budget, in document order
+function applyElementBudget(elements, budget) {
+  if (!budget || elements.length <= budget) {
+    return { kept: elements, dropped: 0 };
+  }
+
+  const keep = new Set(
+    elements
+      .slice()
+      .sort((a, b) => b.importance - a.importance)
+      .slice(0, budget)
+  );
+  return {
+    kept: elements.filter((element) => keep.has(element)),
+    dropped: elements.length - budget,
+  };
+}
+
 // Function to reduce data size for larger webpages
-function optimizeDOMData(domData) {
+function optimizeDOMData(domData, settings) {
   console.log("3DOM: Optimizing DOM data size...");
   const originalSize = JSON.stringify(domData).length / 1024;
   console.log(`Original size: ${originalSize.toFixed(2)} KB`);
 
-  // 1. Limit the number of elements to the most important ones
-  if (domData.elements.length > 300) {
-    console.log(`Reducing elements from ${domData.elements.length} to 300`);
-
-    // Sort elements by importance
-    domData.elements.sort((a, b) => {
-      // Prioritize elements with images
-      if (a.imageData && !b.imageData) return -1;
-      if (!a.imageData && b.imageData) return 1;
-
-      // Prioritize articles
-      if (a.articleData && !b.articleData) return -1;
-      if (!a.articleData && b.articleData) return 1;
-
-      // Prioritize meaningful elements
-      const aHasText = a.textContent && a.textContent.length > 10;
-      const bHasText = b.textContent && b.textContent.length > 10;
-      if (aHasText && !bHasText) return -1;
-      if (!aHasText && bHasText) return 1;
-
-      // Prioritize larger elements as they're more visible
-      const aSize = a.dimensions.width * a.dimensions.height;
-      const bSize = b.dimensions.width * b.dimensions.height;
-      return bSize - aSize;
-    });
+  const scannedElements = domData.elements;
+  const scannedCount = scannedElements.length;
+  domData.dropped = {
+    total: 0,
+    tooSmall: 0,
+    noContent: 0,
+    budget: 0,
+  };
 
-    // Keep only the top elements
-    domData.elements = domData.elements.slice(0, 300);
-  }
+  // 1. Truncate large text content
+  domData.elements.forEach((element) =>
+    truncateElementText(element, settings)
+  );
 
-  // 2. Truncate large text content
-  domData.elements.forEach((element) => {
-    if (element.textContent && element.textContent.length > 500) {
-      element.textContent = element.textContent.substring(0, 500) + "...";
+  // 2. Skip small or insignificant elements
+  domData.elements = domData.elements.filter((element) => {
+    const reason = getDropReason(element, settings);
+    if (reason) {
+      domData.dropped[reason]++;
+      domData.dropped.total++;
+      return false;
     }
+    return true;
+  });
+
+  // 3. Keep the most important elements within the budget
+  domData.elements.forEach((element) => {
+    element.importance = scoreElement(element, domData.pageMetrics);
+  });
+
+  const budget = settings.elementBudget;
+  const { kept, dropped } = applyElementBudget(domData.elements, budget);
+  if (dropped > 0) {
+    console.log(
+      `Reducing elements from ${domData.elements.length} to ${kept.length}`
+    );
+  }
+  domData.elements = kept;
+  relinkElementTree(scannedElements, kept);
+  domData.dropped.budget = dropped;
+  domData.dropped.total += dropped;
+  domData.budget = {
+    limit: budget || null,
+    scanned: scannedCount,
+  };
+
+  // 4. Reduce quality of data URLs for images
+  domData.elements.forEach((element) =>
+    reduceImageQuality(element, settings)
+  );
+
+  const optimizedSize = JSON.stringify(domData).length / 1024;
+  console.log(
+    `Optimized size: ${optimizedSize.toFixed(2)} KB, reduced by ${(
+      ((originalSize - optimizedSize) / originalSize) *
+      100
+    ).toFixed(2)}%`
+  );
+
+  return domData;
+}
+
+// Downscale an element's data URL images to settings.maxImageSize
+function reduceImageQuality(element, settings) {
+  if (
+    element.imageData &&
+    element.imageData.src &&
+    element.imageData.src.startsWith("data:image")
+  ) {
+    // Reduce data URL quality by recreating with lower quality
+    const originalSrc = element.imageData.src;
+    try {
+      const img = new Image();
+      img.src = originalSrc;
+
+      // Create a smaller version of the image
+      const canvas = document.createElement("canvas");
+      const maxSize = settings.maxImageSize;
 
-    if (element.articleData) {
       if (
-        element.articleData.content &&
-        element.articleData.content.length > 1000
+        element.imageData.width > maxSize ||
+        element.imageData.height > maxSize
       ) {
-        element.articleData.content =
-          element.articleData.content.substring(0, 1000) + "...";
+        const scale = Math.min(
+          maxSize / element.imageData.width,
+          maxSize / element.imageData.height
+        );
+
+        canvas.width = element.imageData.width * scale;
+        canvas.height = element.imageData.height * scale;
+
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        // Create a lower quality data URL
+        element.imageData.src = canvas.toDataURL("image/jpeg", 0.6); // Lower quality
       }
+    } catch (err) {
+      console.warn("Failed to optimize image data URL", err);
+    }
+  }
+
+  // Similarly for article images
+  if (
+    element.articleData &&
+    element.articleData.image &&
+    element.articleData.image.src &&
+    element.articleData.image.src.startsWith("data:image")
+  ) {
+    try {
+      const img = new Image();
+      img.src = element.articleData.image.src;
+
+      const canvas = document.createElement("canvas");
+      const maxSize = settings.maxImageSize;
 
       if (
-        element.articleData.summary &&
-        element.articleData.summary.length > 300
+        element.articleData.image.width > maxSize ||
+        element.articleData.image.height > maxSize
       ) {
-        element.articleData.summary =
-          element.articleData.summary.substring(0, 300) + "...";
+        const scale = Math.min(
+          maxSize / element.articleData.image.width,
+          maxSize / element.articleData.image.height
+        );
+
+        canvas.width = element.articleData.image.width * scale;
+        canvas.height = element.articleData.image.height * scale;
+
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        element.articleData.image.src = canvas.toDataURL("image/jpeg", 0.6);
       }
+    } catch (err) {
+      console.warn("Failed to optimize article image data URL", err);
     }
-  });
+  }
+}
 
-  // 3. Skip small or insignificant elements
-  domData.elements = domData.elements.filter((element) => {
-    // Remove tiny elements
-    if (element.dimensions.width < 10 || element.dimensions.height < 10) {
-      return false;
+// Let the user pick the element to scan: highlight whatever is under the
+// pointer, scan the clicked element's subtree, cancel with Escape
+function startElementPicker() {
+  if (window.elementPicker) {
+    return;
+  }
+  console.log("3DOM: Starting element picker");
+
+  const overlay = document.createElement("div");
+  overlay.style.cssText =
+    "position: fixed; pointer-events: none; z-index: 2147483647; " +
+    "border: 2px solid #4a9eff; background: rgba(74, 158, 255, 0.15); " +
+    "box-sizing: border-box; display: none;";
+
+  const label = document.createElement("div");
+  label.style.cssText =
+    "position: fixed; pointer-events: none; z-index: 2147483647; " +
+    "background: #4a9eff; color: white; font: 12px Arial, sans-serif; " +
+    "padding: 2px 6px; border-radius: 3px; white-space: nowrap; display: none;";
+
+  document.documentElement.appendChild(overlay);
+  document.documentElement.appendChild(label);
+
+  const picker = {
+    overlay: overlay,
+    label: label,
+    target: null,
+  };
+
+  // composedPath reaches into open shadow roots, unlike event.target
+  const getTarget = (event) => {
+    const target = event.composedPath()[0];
+    return target && target.nodeType === Node.ELEMENT_NODE ? target : null;
+  };
+
+  picker.onMove = (event) => {
+    const target = getTarget(event);
+    if (!target || target === picker.target) {
+      return;
+    }
+    picker.target = target;
+
+    const rect = target.getBoundingClientRect();
+    overlay.style.display = "block";
+    overlay.style.left = `${rect.left}px`;
+    overlay.style.top = `${rect.top}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+
+    label.textContent = `${describePickerTarget(target)}  ${Math.round(
+      rect.width
+    )}\u00d7${Math.round(rect.height)}`;
+    label.style.display = "block";
+    label.style.left = `${Math.max(rect.left, 0)}px`;
+    label.style.top = `${Math.max(rect.top - 22, 0)}px`;
+  };
+
+  picker.onClick = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const target = getTarget(event);
+    stopElementPicker();
+    if (!target) {
+      return;
     }
 
-    // Remove elements without meaningful content or visual aspects
-    if (
-      !element.imageData &&
-      !element.textContent &&
-      !element.articleData &&
-      element.type !== "header" &&
-      element.type !== "navigation"
-    ) {
-      return false;
+    console.log("3DOM: Picked scan root", target);
+    window.pickedScanRoot = target;
+    chrome.runtime.sendMessage({ action: "subtreePicked" });
+  };
+
+  picker.onKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      stopElementPicker();
     }
+  };
 
-    return true;
+  // Swallow the rest of the click so the page doesn't react to it
+  picker.onSuppress = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  window.addEventListener("mousemove", picker.onMove, true);
+  window.addEventListener("click", picker.onClick, true);
+  window.addEventListener("mousedown", picker.onSuppress, true);
+  window.addEventListener("mouseup", picker.onSuppress, true);
+  window.addEventListener("keydown", picker.onKeyDown, true);
+  window.elementPicker = picker;
+}
+
+// Remove the picker overlay and listeners
+function stopElementPicker() {
+  const picker = window.elementPicker;
+  if (!picker) {
+    return;
+  }
+
+  window.removeEventListener("mousemove", picker.onMove, true);
+  window.removeEventListener("click", picker.onClick, true);
+  window.removeEventListener("mousedown", picker.onSuppress, true);
+  window.removeEventListener("mouseup", picker.onSuppress, true);
+  window.removeEventListener("keydown", picker.onKeyDown, true);
+  picker.overlay.remove();
+  picker.label.remove();
+  window.elementPicker = null;
+}
+
+// Short label for the picker, like "div#checkout" or "table.pricing"
+function describePickerTarget(element) {
+  let description = element.tagName.toLowerCase();
+  if (element.id) {
+    description += `#${element.id}`;
+  } else if (element.classList.length > 0) {
+    description += `.${element.classList[0]}`;
+  }
+  return description;
+}
+
+// Find the element a scan request starts from: "picked" (with the element
+// picker), "contextTarget" (last right-clicked) or "selection" (the element
+// around the selected text). Returns null to scan the whole page. The element
+// is kept as the picked root so live updates watch the same subtree.
+function resolveScanRoot(root) {
+  let element = null;
+  if (root === "picked") {
+    element = window.pickedScanRoot;
+  } else if (root === "contextTarget") {
+    element = window.contextMenuTarget;
+    window.contextMenuTarget = null;
+  } else if (root === "selection") {
+    element = getSelectionElement();
+  }
+
+  if (
+    !element ||
+    !element.isConnected ||
+    element === document.body ||
+    element === document.documentElement
+  ) {
+    return null;
+  }
+
+  window.pickedScanRoot = element;
+  return element;
+}
+
+// The innermost element containing the whole current selection
+function getSelectionElement() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    return null;
+  }
+
+  const container = selection.getRangeAt(0).commonAncestorContainer;
+  return container.nodeType === Node.ELEMENT_NODE
+    ? container
+    : container.parentElement;
+}
+
+// Start watching the page and streaming incremental patches to the viewer
+function startLiveScan() {
+  if (window.liveScan) {
+    return;
+  }
+  console.log("3DOM: Starting live scan");
+
+  // Watch the same subtree the last scan covered
+  const scanRoot =
+    window.domData.scanRoot &&
+    window.pickedScanRoot &&
+    window.pickedScanRoot.isConnected
+      ? window.pickedScanRoot
+      : document.body;
+
+  const live = {
+    root: scanRoot,
+    settings: window.scanSettings || SETTINGS_DEFAULTS,
+    pageMetrics: window.domData.pageMetrics,
+    records: new Map(),
+    rendered: new Map(),
+    observedRoots: new WeakSet(),
+    dirtyRoots: new Set(),
+    fullRescan: false,
+    timer: null,
+    observer: null,
+    onResize: null,
+    onScroll: null,
+    // Patches wait for their images, and are sent in order
+    sending: Promise.resolve(),
+  };
+  window.liveScan = live;
+
+  live.observer = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      const root = getLiveDirtyRoot(mutation.target);
+      if (root) {
+        live.dirtyRoots.add(root);
+      }
+    });
+    scheduleLiveScanFlush();
   });
+  observeLiveRoot(live, scanRoot);
 
-  // 4. Reduce quality of data URLs for images
-  domData.elements.forEach((element) => {
-    if (
-      element.imageData &&
-      element.imageData.src &&
-      element.imageData.src.startsWith("data:image")
-    ) {
-      // Reduce data URL quality by recreating with lower quality
-      const originalSrc = element.imageData.src;
-      try {
-        const img = new Image();
-        img.src = originalSrc;
-
-        // Create a smaller version of the image
-        const canvas = document.createElement("canvas");
-        const maxSize = 400; // Limit dimensions to 400px
-
-        if (
-          element.imageData.width > maxSize ||
-          element.imageData.height > maxSize
-        ) {
-          const scale = Math.min(
-            maxSize / element.imageData.width,
-            maxSize / element.imageData.height
-          );
-
-          canvas.width = element.imageData.width * scale;
-          canvas.height = element.imageData.height * scale;
-
-          const ctx = canvas.getContext("2d");
-          ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-          // Create a lower quality data URL
-          element.imageData.src = canvas.toDataURL("image/jpeg", 0.6); // Lower quality
-        }
-      } catch (err) {
-        console.warn("Failed to optimize image data URL", err);
+  // Baseline snapshot; patches are computed against it
+  collectLiveElements([scanRoot], live).forEach((record, nodeId) => {
+    live.records.set(nodeId, record);
+  });
+  budgetLiveElements(live).forEach((element) => {
+    live.rendered.set(element.nodeId, createRenderedRecord(live, element));
+  });
+
+  // Layout changes can move anything on the page, so rescan everything
+  live.onResize = () => {
+    live.fullRescan = true;
+    scheduleLiveScanFlush();
+  };
+
+  // Scrolling only moves fixed and sticky elements in page coordinates
+  live.onScroll = () => {
+    live.records.forEach((record) => {
+      if (record.element.positioning) {
+        live.dirtyRoots.add(record.node);
       }
+    });
+    if (live.dirtyRoots.size > 0) {
+      scheduleLiveScanFlush();
+    }
+  };
+  window.addEventListener("resize", live.onResize);
+  window.addEventListener("scroll", live.onScroll, { passive: true });
+}
+
+// Stop watching the page
+function stopLiveScan() {
+  const live = window.liveScan;
+  if (!live) {
+    return;
+  }
+  console.log("3DOM: Stopping live scan");
+
+  live.observer.disconnect();
+  window.removeEventListener("resize", live.onResize);
+  window.removeEventListener("scroll", live.onScroll);
+  clearTimeout(live.timer);
+  window.liveScan = null;
+}
+
+function scheduleLiveScanFlush() {
+  const live = window.liveScan;
+  clearTimeout(live.timer);
+  live.timer = setTimeout(flushLiveScan, LIVE_SCAN_DEBOUNCE);
+}
+
+// The element to rescan for a mutation: the nearest element for text and
+// shadow roots, and the frame element for anything inside a frame, which is
+// only scanned as a whole (it needs the frame's offset into the page)
+function getLiveDirtyRoot(node) {
+  let element =
+    node.nodeType === Node.ELEMENT_NODE
+      ? node
+      : node.parentElement || node.getRootNode().host || null;
+
+  while (element && element.ownerDocument !== document) {
+    const view = element.ownerDocument.defaultView;
+    element = view ? view.frameElement : null;
+  }
+  return element;
+}
+
+// Watch a document, shadow root or subtree for mutations. The observer on the
+// scan root does not see into shadow roots or frame documents, so each one
+// found while scanning is observed on its own.
+function observeLiveRoot(live, root) {
+  if (live.observedRoots.has(root)) {
+    return;
+  }
+  live.observedRoots.add(root);
+  live.observer.observe(root, {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    characterData: true,
+  });
+}
+
+// Rescan the changed parts of the page and send the differences
+function flushLiveScan() {
+  const live = window.liveScan;
+  if (!live) {
+    return;
+  }
+
+  const roots = live.fullRescan
+    ? [live.root]
+    : getOutermostRoots(Array.from(live.dirtyRoots));
+  live.dirtyRoots.clear();
+  live.fullRescan = false;
+
+  const fresh = collectLiveElements(roots, live);
+
+  // Known elements under a rescanned root that were not found again are gone
+  live.records.forEach((record, nodeId) => {
+    if (fresh.has(nodeId)) {
+      return;
     }
+    const wasRescanned =
+      !record.node.isConnected ||
+      roots.some((root) => containsComposed(root, record.node));
+    if (wasRescanned) {
+      live.records.delete(nodeId);
+    }
+  });
+  fresh.forEach((record, nodeId) => {
+    live.records.set(nodeId, record);
+  });
 
-    // Similarly for article images
+  // Diff what the budget keeps now against what the viewer has
+  const patch = { added: [], updated: [], removed: [] };
+  const kept = new Set();
+  budgetLiveElements(live).forEach((element) => {
+    kept.add(element.nodeId);
+    const previous = live.rendered.get(element.nodeId);
     if (
-      element.articleData &&
-      element.articleData.image &&
-      element.articleData.image.src &&
-      element.articleData.image.src.startsWith("data:image")
+      previous &&
+      previous.source === live.records.get(element.nodeId).element &&
+      previous.parentNodeId === element.parentNodeId
     ) {
-      try {
-        const img = new Image();
-        img.src = element.articleData.image.src;
+      return;
+    }
 
-        const canvas = document.createElement("canvas");
-        const maxSize = 400;
+    const rendered = createRenderedRecord(live, element);
+    if (!previous) {
+      patch.added.push(element);
+    } else if (previous.json !== rendered.json) {
+      patch.updated.push(element);
+    }
+    live.rendered.set(element.nodeId, rendered);
+  });
+  live.rendered.forEach((rendered, nodeId) => {
+    if (!kept.has(nodeId)) {
+      patch.removed.push(nodeId);
+      live.rendered.delete(nodeId);
+    }
+  });
 
-        if (
-          element.articleData.image.width > maxSize ||
-          element.articleData.image.height > maxSize
-        ) {
-          const scale = Math.min(
-            maxSize / element.articleData.image.width,
-            maxSize / element.articleData.image.height
-          );
+  if (
+    patch.added.length === 0 &&
+    patch.updated.length === 0 &&
+    patch.removed.length === 0
+  ) {
+    return;
+  }
 
-          canvas.width = element.articleData.image.width * scale;
-          canvas.height = element.articleData.image.height * scale;
+  console.log(
+    `3DOM: Live patch +${patch.added.length} ~${patch.updated.length} -${patch.removed.length}`
+  );
+  live.sending = live.sending
+    .then(() => proxyLivePatchImages(patch, live.settings))
+    .then(() => {
+      if (window.liveScan === live) {
+        chrome.runtime.sendMessage({ action: "liveScanPatch", patch: patch });
+      }
+    });
+}
 
-          const ctx = canvas.getContext("2d");
-          ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+// Fetch a patch's images through the background script, like a full scan's
+// (see proxyImages). The patch's elements share their image data with the
+// live records, which keep the original URLs, so they get copies.
+function proxyLivePatchImages(patch, settings) {
+  const elements = patch.added.concat(patch.updated);
+  elements.forEach((element) => {
+    if (element.imageData) {
+      element.imageData = { ...element.imageData };
+    }
+    if (element.articleData && element.articleData.image) {
+      element.articleData = {
+        ...element.articleData,
+        image: { ...element.articleData.image },
+      };
+    }
+  });
+  return proxyImages({ elements }, settings, () => {});
+}
 
-          element.articleData.image.src = canvas.toDataURL("image/jpeg", 0.6);
-        }
-      } catch (err) {
-        console.warn("Failed to optimize article image data URL", err);
-      }
+// Scan the given roots (all inside the live scan's root) and return records
+// of the meaningful elements, keyed by node ID. Elements are prepared the way
+// optimizeDOMData prepares a full scan, except that images are left
+// unproxied until they are sent (see proxyLivePatchImages).
+function collectLiveElements(roots, live) {
+  const output = {
+    elements: [],
+    frames: [],
+    nodes: new Map(),
+    observeRoots: [],
+  };
+  roots.forEach((root) => {
+    if (root.isConnected) {
+      traverseNode(
+        root,
+        getTraversalDepth(root, live.root),
+        createSubtreeContext(output, root)
+      );
     }
   });
+  output.observeRoots.forEach((root) => observeLiveRoot(live, root));
 
-  const optimizedSize = JSON.stringify(domData).length / 1024;
-  console.log(
-    `Optimized size: ${optimizedSize.toFixed(2)} KB, reduced by ${(
-      ((originalSize - optimizedSize) / originalSize) *
-      100
-    ).toFixed(2)}%`
+  output.elements.forEach((element) =>
+    truncateElementText(element, live.settings)
   );
+  const kept = output.elements.filter((element) =>
+    isMeaningfulElement(element, live.settings)
+  );
+  relinkElementTree(output.elements, kept);
+
+  // The roots' parents lie outside the rescanned subtrees: point them at
+  // their nearest ancestor the live scan knows of
+  const scannedIds = new Set(output.elements.map((element) => element.nodeId));
+  kept.forEach((element) => {
+    if (element.parentNodeId && !scannedIds.has(element.parentNodeId)) {
+      element.parentNodeId = findLiveParentNodeId(
+        live,
+        output.nodes.get(element.nodeId)
+      );
+    }
+  });
 
-  return domData;
+  const records = new Map();
+  kept.forEach((element) => {
+    element.importance = scoreElement(element, live.pageMetrics);
+    reduceImageQuality(element, live.settings);
+    records.set(element.nodeId, {
+      node: output.nodes.get(element.nodeId),
+      element: element,
+    });
+  });
+  return records;
+}
+
+// The node ID of a node's nearest ancestor with a live record, up to the live
+// scan's root, or null
+function findLiveParentNodeId(live, node) {
+  let current = node === live.root ? null : getFlatTreeParent(node);
+  while (current) {
+    const nodeId = window.domNodeIds.get(current);
+    if (nodeId && live.records.has(nodeId)) {
+      return nodeId;
+    }
+    current = current === live.root ? null : getFlatTreeParent(current);
+  }
+  return null;
+}
+
+// The elements the viewer should show: the most important known elements
+// within the element budget, as applyElementBudget picks them for a full
+// scan. Returns copies, with parents relinked past the elements left out.
+function budgetLiveElements(live) {
+  const elements = Array.from(
+    live.records.values(),
+    (record) => record.element
+  );
+  const { kept } = applyElementBudget(elements, live.settings.elementBudget);
+  const copies = kept.map((element) => Object.assign({}, element));
+  relinkElementTree(elements, copies);
+  return copies;
+}
+
+// Remember what the viewer was sent for an element: the scanned data it came
+// from (unchanged data needs no comparison), its parent after relinking and a
+// serialized copy (to detect changes)
+function createRenderedRecord(live, element) {
+  return {
+    source: live.records.get(element.nodeId).element,
+    parentNodeId: element.parentNodeId,
+    json: JSON.stringify(element),
+  };
+}
+
+// Count the ancestors between an element and the scan root in the rendered
+// (flat) tree, the depth traverseNode gives it
+function getTraversalDepth(element, scanRoot) {
+  let depth = 0;
+  let node = element;
+  while (node && node !== scanRoot) {
+    node = getFlatTreeParent(node);
+    depth++;
+  }
+  return depth;
+}
+
+// Drop roots that are already covered by another root
+function getOutermostRoots(roots) {
+  return roots.filter(
+    (root) =>
+      !roots.some((other) => other !== root && containsComposed(other, root))
+  );
+}
+
+// Like Node.contains, but also crosses shadow and frame boundaries
+function containsComposed(root, node) {
+  let current = node;
+  while (current) {
+    if (current === root) {
+      return true;
+    }
+    if (current.nodeType === Node.DOCUMENT_NODE) {
+      current = current.defaultView ? current.defaultView.frameElement : null;
+    } else {
+      current = current.parentNode || current.host;
+    }
+  }
+  return false;
 }
@@ -0,0 +1,268 @@
+/**
+ * 3DOM - Image Proxy
+ * Fetches page images from the background service worker, where the
+ * extension's host permissions lift the CORS and CSP limits a page has.
+ * Requests are deduplicated by URL, run a few at a time, and cached in
+ * IndexedDB by URL and ETag, revalidated with the ETag. The cache keeps the
+ * most recently stored images.
+ */
+
+// Images fetched at once, and how long one may take
+const IMAGE_PROXY_CONCURRENCY = 6;
+const IMAGE_PROXY_TIMEOUT = 10000;
+
+// Default largest width/height kept; bigger images are scaled down before
+// caching. Scans pass the maxImageSize setting instead (see settings.js).
+const IMAGE_PROXY_MAX_SIZE = 400;
+
+// Cached images without an ETag are refetched after this long
+const IMAGE_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Images kept in the cache; the least recently stored (or revalidated) go
+// first. At the default size an image is a few tens of KB.
+const IMAGE_CACHE_MAX_ENTRIES = 1000;
+
+const IMAGE_CACHE_DB = "3dom-image-cache";
+const IMAGE_CACHE_VERSION = 2;
+const IMAGE_CACHE_STORE = "images";
+
+let imageProxyActive = 0;
+const imageProxyQueue = [];
+const imageProxyInFlight = new Map();
+let imageCacheDbPromise = null;
+
+// Get an image as a data URL. Resolves (never rejects) with
+// { status, dataUrl } where status is "cached" (used without asking the
+// server), "revalidated" (the server confirmed the cached copy) or "fetched",
+// or { status: "failed", error } if the image could not be loaded. The image
+// is scaled down to fit maxSize pixels.
+function proxyImage(url, maxSize = IMAGE_PROXY_MAX_SIZE) {
+  const key = `${maxSize} ${url}`;
+  if (imageProxyInFlight.has(key)) {
+    return imageProxyInFlight.get(key);
+  }
+
+  const request = enqueueImageRequest(() => loadImage(url, maxSize))
+    .catch((error) => ({
+      status: "failed",
+      error: error.message || String(error),
+    }))
+    .finally(() => {
+      imageProxyInFlight.delete(key);
+    });
+
+  imageProxyInFlight.set(key, request);
+  return request;
+}
+
+// Run a task once fewer than IMAGE_PROXY_CONCURRENCY are running
+function enqueueImageRequest(task) {
+  return new Promise((resolve, reject) => {
+    imageProxyQueue.push({ task, resolve, reject });
+    runNextImageRequest();
+  });
+}
+
+function runNextImageRequest() {
+  if (
+    imageProxyActive >= IMAGE_PROXY_CONCURRENCY ||
+    imageProxyQueue.length === 0
+  ) {
+    return;
+  }
+
+  const { task, resolve, reject } = imageProxyQueue.shift();
+  imageProxyActive++;
+  task()
+    .then(resolve, reject)
+    .finally(() => {
+      imageProxyActive--;
+      runNextImageRequest();
+    });
+}
+
+// Load an image from the cache, revalidating or refetching it when needed.
+// Images cached at another size are fetched again.
+function loadImage(url, maxSize) {
+  return readCachedImage(url).then((record) => {
+    const cached = record && record.maxSize === maxSize ? record : null;
+    if (
+      cached &&
+      !cached.etag &&
+      Date.now() - cached.storedAt < IMAGE_CACHE_MAX_AGE
+    ) {
+      return { status: "cached", dataUrl: cached.dataUrl };
+    }
+
+    const headers =
+      cached && cached.etag ? { "If-None-Match": cached.etag } : {};
+    return fetchWithTimeout(url, { headers: headers }).then((response) => {
+      if (response.status === 304 && cached) {
+        // Still current: keep it as if it were just stored
+        writeCachedImage({ ...cached, storedAt: Date.now() });
+        return { status: "revalidated", dataUrl: cached.dataUrl };
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const etag = response.headers.get("ETag");
+      return response
+        .blob()
+        .then((blob) => encodeImage(blob, maxSize))
+        .then((dataUrl) => {
+          writeCachedImage({
+            url: url,
+            maxSize: maxSize,
+            etag: etag || "",
+            dataUrl: dataUrl,
+            storedAt: Date.now(),
+          });
+          return { status: "fetched", dataUrl };
+        });
+    });
+  });
+}
+
+function fetchWithTimeout(url, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), IMAGE_PROXY_TIMEOUT);
+  return fetch(url, {
+    ...options,
+    credentials: "omit",
+    signal: controller.signal,
+  }).finally(() => clearTimeout(timer));
+}
+
+// Convert an image to a data URL, scaling it down to fit maxSize pixels.
+// Formats createImageBitmap can't decode (such as SVG) are kept as they are.
+function encodeImage(blob, maxSize = IMAGE_PROXY_MAX_SIZE) {
+  if (!blob.type.startsWith("image/")) {
+    return Promise.reject(
+      new Error(`Not an image (${blob.type || "unknown"})`)
+    );
+  }
+
+  return createImageBitmap(blob)
+    .then((bitmap) => {
+      const ratio = Math.min(
+        1,
+        maxSize / Math.max(bitmap.width, bitmap.height, 1)
+      );
+      const canvas = new OffscreenCanvas(
+        Math.max(1, Math.round(bitmap.width * ratio)),
+        Math.max(1, Math.round(bitmap.height * ratio))
+      );
+      canvas
+        .getContext("2d")
+        .drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close();
+      return canvas.convertToBlob({ type: "image/webp", quality: 0.8 });
+    })
+    .catch(() => blob)
+    .then(blobToDataUrl);
+}
+
+function blobToDataUrl(blob) {
+  return blob.arrayBuffer().then((buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(
+        null,
+        bytes.subarray(i, i + chunkSize)
+      );
+    }
+    return `data:${blob.type};base64,${btoa(binary)}`;
+  });
+}
+
+// Open (and create on first use) the image cache database. Images are keyed
+// by URL and ETag ("" without one), and indexed by URL for lookups and by
+// storedAt for eviction.
+function openImageCache() {
+  if (!imageCacheDbPromise) {
+    imageCacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(IMAGE_CACHE_DB, IMAGE_CACHE_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Version 1 was keyed by URL alone; its images are simply dropped
+        if (db.objectStoreNames.contains(IMAGE_CACHE_STORE)) {
+          db.deleteObjectStore(IMAGE_CACHE_STORE);
+        }
+        const store = db.createObjectStore(IMAGE_CACHE_STORE, {
+          keyPath: ["url", "etag"],
+        });
+        store.createIndex("url", "url");
+        store.createIndex("storedAt", "storedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return imageCacheDbPromise;
+}
+
+// Read a cached image, or null. Cache errors are treated as a miss.
+function readCachedImage(url) {
+  return openImageCache()
+    .then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const request = db
+            .transaction(IMAGE_CACHE_STORE, "readonly")
+            .objectStore(IMAGE_CACHE_STORE)
+            .index("url")
+            .get(url);
+          request.onsuccess = () => resolve(request.result || null);
+          request.onerror = () => reject(request.error);
+        })
+    )
+    .catch((error) => {
+      console.warn("3DOM: Image cache read failed:", error);
+      return null;
+    });
+}
+
+// Store an image in place of any other version of it (another ETag or size),
+// then evict the oldest images over IMAGE_CACHE_MAX_ENTRIES
+function writeCachedImage(record) {
+  return openImageCache()
+    .then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(IMAGE_CACHE_STORE, "readwrite");
+          const store = transaction.objectStore(IMAGE_CACHE_STORE);
+          store.index("url").getAllKeys(record.url).onsuccess = (event) => {
+            event.target.result.forEach((key) => store.delete(key));
+            store.put(record);
+            trimImageCache(store);
+          };
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => reject(transaction.error);
+        })
+    )
+    .catch((error) => {
+      console.warn("3DOM: Image cache write failed:", error);
+    });
+}
+
+function trimImageCache(store) {
+  store.count().onsuccess = (event) => {
+    let excess = event.target.result - IMAGE_CACHE_MAX_ENTRIES;
+    if (excess <= 0) {
+      return;
+    }
+
+    // Key cursors walk the storedAt index without loading the images
+    store.index("storedAt").openKeyCursor().onsuccess = (cursorEvent) => {
+      const cursor = cursorEvent.target.result;
+      if (cursor && excess > 0) {
+        store.delete(cursor.primaryKey);
+        excess--;
+        cursor.continue();
+      }
+    };
+  };
+}
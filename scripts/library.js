@@ -0,0 +1,261 @@
+/**
+ * 3DOM - Scan Library
+ * Lists the scans saved in the scan store (see scan-store.js), and opens,
+ * renames or deletes them.
+ */
+
+// Ways to order the list, by the value of the sort select
+const LIBRARY_SORTS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  oldest: (a, b) => a.createdAt - b.createdAt,
+  title: (a, b) => getScanTitle(a).localeCompare(getScanTitle(b)),
+  elements: (a, b) => b.elementCount - a.elementCount,
+};
+
+let librarySummaries = [];
+
+// IDs of the scans ticked for comparison (at most two)
+const comparisonSelection = new Set();
+
+document.addEventListener("DOMContentLoaded", () => {
+  document
+    .getElementById("library-search")
+    .addEventListener("input", renderLibrary);
+  document
+    .getElementById("library-sort")
+    .addEventListener("change", renderLibrary);
+  document
+    .getElementById("library-compare")
+    .addEventListener("click", compareSelectedScans);
+
+  // Scans finished in other tabs show up when the library is revisited
+  window.addEventListener("focus", loadLibrary);
+
+  loadLibrary();
+});
+
+// Read the scan summaries and redraw the list
+function loadLibrary() {
+  listScans()
+    .then((summaries) => {
+      librarySummaries = summaries;
+
+      // Forget deleted scans
+      const ids = new Set(summaries.map((summary) => summary.id));
+      comparisonSelection.forEach((id) => {
+        if (!ids.has(id)) comparisonSelection.delete(id);
+      });
+
+      renderLibrary();
+    })
+    .catch((error) => {
+      console.error("3DOM Library: Could not read saved scans:", error);
+      setLibraryStatus("Could not read saved scans.");
+    });
+}
+
+// Draw the scans that match the search, in the chosen order
+function renderLibrary() {
+  const query = document
+    .getElementById("library-search")
+    .value.trim()
+    .toLowerCase();
+  const sort = LIBRARY_SORTS[document.getElementById("library-sort").value];
+
+  const summaries = librarySummaries
+    .filter(
+      (summary) =>
+        !query ||
+        getScanTitle(summary).toLowerCase().includes(query) ||
+        summary.url.toLowerCase().includes(query)
+    )
+    .sort(sort);
+
+  const list = document.getElementById("library-list");
+  list.replaceChildren(...summaries.map(createScanCard));
+  updateCompareButton();
+
+  if (librarySummaries.length === 0) {
+    setLibraryStatus(
+      "No saved scans yet. Click the 3DOM toolbar icon on a page to scan it."
+    );
+  } else if (summaries.length === 0) {
+    setLibraryStatus("No scans match your search.");
+  } else {
+    setLibraryStatus(
+      `${summaries.length} of ${librarySummaries.length} saved scans`
+    );
+  }
+}
+
+// Build the list entry for one scan
+function createScanCard(summary) {
+  const card = document.createElement("li");
+  card.className = "scan-card";
+
+  const thumbnail = document.createElement("button");
+  thumbnail.className = "scan-thumbnail";
+  thumbnail.title = "Open in the 3D viewer";
+  if (summary.thumbnail) {
+    const image = document.createElement("img");
+    image.src = summary.thumbnail;
+    image.alt = "";
+    thumbnail.appendChild(image);
+  } else {
+    thumbnail.textContent = "No preview";
+  }
+  thumbnail.addEventListener("click", () => openScan(summary.id));
+  card.appendChild(thumbnail);
+
+  const details = document.createElement("div");
+  details.className = "scan-details";
+
+  const title = document.createElement("h2");
+  title.className = "scan-title";
+  title.textContent = getScanTitle(summary);
+  details.appendChild(title);
+
+  const url = document.createElement("p");
+  url.className = "scan-url";
+  url.textContent = summary.url;
+  details.appendChild(url);
+
+  const meta = document.createElement("p");
+  meta.className = "scan-meta";
+  meta.textContent = `${new Date(summary.createdAt).toLocaleString()} · ${
+    summary.elementCount
+  } elements`;
+  details.appendChild(meta);
+
+  const compare = document.createElement("label");
+  compare.className = "scan-compare";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = comparisonSelection.has(summary.id);
+  checkbox.addEventListener("change", () =>
+    toggleComparisonSelection(summary.id, checkbox.checked)
+  );
+  compare.append(checkbox, "Compare");
+
+  const actions = document.createElement("div");
+  actions.className = "scan-actions";
+  actions.append(
+    createActionButton("Open", () => openScan(summary.id)),
+    createActionButton("Rename", () => startRename(card, summary)),
+    createActionButton("Delete", () => confirmDelete(summary), "danger"),
+    compare
+  );
+  details.appendChild(actions);
+
+  card.appendChild(details);
+  return card;
+}
+
+function createActionButton(label, onClick, variant) {
+  const button = document.createElement("button");
+  button.className = variant ? `scan-action ${variant}` : "scan-action";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// Scans show the page title unless they were renamed
+function getScanTitle(summary) {
+  return summary.title || summary.url || "Untitled scan";
+}
+
+// Open a saved scan in a new viewer tab
+function openScan(scanId) {
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`viewer.html?scan=${encodeURIComponent(scanId)}`),
+  });
+}
+
+// Tick or untick a scan for comparison. Ticking a third scan unticks the one
+// ticked first.
+function toggleComparisonSelection(scanId, selected) {
+  if (!selected) {
+    comparisonSelection.delete(scanId);
+  } else {
+    comparisonSelection.add(scanId);
+    if (comparisonSelection.size > 2) {
+      comparisonSelection.delete(comparisonSelection.values().next().value);
+    }
+  }
+  renderLibrary();
+}
+
+function updateCompareButton() {
+  const button = document.getElementById("library-compare");
+  button.disabled = comparisonSelection.size !== 2;
+  button.textContent = `Compare (${comparisonSelection.size}/2)`;
+}
+
+// Open a viewer with the changes from the older ticked scan to the newer one
+// (see diff.js)
+function compareSelectedScans() {
+  const [before, after] = librarySummaries
+    .filter((summary) => comparisonSelection.has(summary.id))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  if (!before || !after) return;
+
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(
+      `viewer.html?scan=${encodeURIComponent(
+        after.id
+      )}&compare=${encodeURIComponent(before.id)}`
+    ),
+  });
+}
+
+// Swap the card's title for an input. Enter or leaving the field saves,
+// Escape cancels.
+function startRename(card, summary) {
+  const title = card.querySelector(".scan-title");
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "library-input scan-title-input";
+  input.value = getScanTitle(summary);
+  title.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let finished = false;
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+
+    const newTitle = input.value.trim();
+    if (!save || !newTitle || newTitle === getScanTitle(summary)) {
+      input.replaceWith(title);
+      return;
+    }
+    renameScan(summary.id, newTitle)
+      .then(loadLibrary)
+      .catch((error) => {
+        console.error("3DOM Library: Could not rename scan:", error);
+        input.replaceWith(title);
+      });
+  };
+
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") finish(true);
+    if (event.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
+function confirmDelete(summary) {
+  if (!confirm(`Delete the scan "${getScanTitle(summary)}"?`)) {
+    return;
+  }
+  deleteScans([summary.id])
+    .then(loadLibrary)
+    .catch((error) => {
+      console.error("3DOM Library: Could not delete scan:", error);
+    });
+}
+
+function setLibraryStatus(text) {
+  document.getElementById("library-status").textContent = text;
+}
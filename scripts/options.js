@@ -0,0 +1,161 @@
+/**
+ * 3DOM - Options
+ * Edits the scan and render defaults in chrome.storage.sync (see
+ * settings.js). Fields are saved as soon as they change.
+ */
+
+// Number fields by setting name, with the range each is clamped to
+const OPTIONS_NUMBER_FIELDS = {
+  elementBudget: { min: 0, max: 10000, step: 1 },
+  minElementSize: { min: 0, max: 200, step: 1 },
+  maxTextLength: { min: 20, max: 10000, step: 1 },
+  maxImageSize: { min: 50, max: 2000, step: 1 },
+  baseHeight: { min: 0.1, max: 10, step: 0.1 },
+  minCameraHeight: { min: 1, max: 5000, step: 1 },
+  maxCameraHeight: { min: 10, max: 10000, step: 1 },
+};
+
+// Visibility categories of the viewer's controls panel, by checkbox ID
+const OPTIONS_CATEGORIES = {
+  "toggle-headers": "Headers (H1-H6)",
+  "toggle-images": "Images",
+  "toggle-text": "Text/Paragraphs",
+  "toggle-links": "Links",
+  "toggle-buttons": "Buttons",
+  "toggle-forms": "Forms (inputs, selects, textareas)",
+  "toggle-containers": "Containers/Divs",
+  "toggle-navigation": "Navigation elements",
+  "toggle-shadow": "Shadow DOM elements",
+  "toggle-fixed": "Fixed elements (sky layer)",
+  "toggle-sticky": "Sticky elements",
+  "toggle-other": "Other elements",
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  Object.keys(OPTIONS_NUMBER_FIELDS).forEach((name) => {
+    const input = document.getElementById(name);
+    const range = OPTIONS_NUMBER_FIELDS[name];
+    input.min = range.min;
+    input.max = range.max;
+    input.step = range.step;
+    input.addEventListener("change", () => saveNumberField(name));
+  });
+
+  const categories = document.getElementById("hiddenCategories");
+  Object.keys(OPTIONS_CATEGORIES).forEach((checkboxId) => {
+    categories.appendChild(createCategoryCheckbox(checkboxId));
+  });
+
+  document
+    .getElementById("reset-options")
+    .addEventListener("click", resetOptions);
+
+  loadSettings().then(showSettings);
+});
+
+// Fill in the form from a settings object
+function showSettings(settings) {
+  Object.keys(OPTIONS_NUMBER_FIELDS).forEach((name) => {
+    document.getElementById(name).value = settings[name];
+  });
+  document
+    .querySelectorAll("#hiddenCategories input")
+    .forEach((checkbox) => {
+      checkbox.checked = settings.hiddenCategories.includes(checkbox.value);
+    });
+}
+
+function createCategoryCheckbox(checkboxId) {
+  const label = document.createElement("label");
+  label.className = "options-category";
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.value = checkboxId;
+  checkbox.addEventListener("change", saveHiddenCategories);
+
+  const text = document.createElement("span");
+  text.textContent = OPTIONS_CATEGORIES[checkboxId];
+
+  label.append(checkbox, text);
+  return label;
+}
+
+// Validate a number field, clamping it to its range, and save it
+function saveNumberField(name) {
+  const input = document.getElementById(name);
+  const range = OPTIONS_NUMBER_FIELDS[name];
+  const parsed = parseFloat(input.value);
+  if (isNaN(parsed)) {
+    setOptionsStatus("Enter a number.", true);
+    return;
+  }
+
+  const step = range.step < 1 ? 10 : 1;
+  const value = Math.min(
+    range.max,
+    Math.max(range.min, Math.round(parsed * step) / step)
+  );
+  input.value = value;
+
+  // The zoom range must not be empty
+  const minCamera = parseFloat(
+    document.getElementById("minCameraHeight").value
+  );
+  const maxCamera = parseFloat(
+    document.getElementById("maxCameraHeight").value
+  );
+  if (
+    (name === "minCameraHeight" || name === "maxCameraHeight") &&
+    minCamera >= maxCamera
+  ) {
+    setOptionsStatus("Closest zoom must be lower than farthest zoom.", true);
+    return;
+  }
+
+  saveOptions({ [name]: value });
+}
+
+function saveHiddenCategories() {
+  const hiddenCategories = Array.from(
+    document.querySelectorAll("#hiddenCategories input:checked"),
+    (checkbox) => checkbox.value
+  );
+  saveOptions({ hiddenCategories });
+}
+
+function saveOptions(values) {
+  chrome.storage.sync.set(values, () => {
+    if (chrome.runtime.lastError) {
+      console.error(
+        "3DOM Options: Could not save settings:",
+        chrome.runtime.lastError
+      );
+      setOptionsStatus("Could not save settings.", true);
+      return;
+    }
+    setOptionsStatus("Saved.");
+  });
+}
+
+// Forget every stored setting, so the defaults apply again
+function resetOptions() {
+  chrome.storage.sync.remove(Object.keys(SETTINGS_DEFAULTS), () => {
+    if (chrome.runtime.lastError) {
+      console.error(
+        "3DOM Options: Could not reset settings:",
+        chrome.runtime.lastError
+      );
+      setOptionsStatus("Could not reset settings.", true);
+      return;
+    }
+    showSettings(SETTINGS_DEFAULTS);
+    setOptionsStatus("Defaults restored.");
+  });
+}
+
+function setOptionsStatus(text, isError = false) {
+  const status = document.getElementById("options-status");
+  status.textContent = text;
+  status.classList.toggle("error", isError);
+}
@@ -0,0 +1,228 @@
+/**
+ * 3DOM - Scan Store
+ * Keeps completed scans in IndexedDB so they outlive the background service
+ * worker (Chrome stops it when idle). Shared by the background script and the
+ * viewer, which loads a scan directly by the ID in its URL (?scan=<id>).
+ * Summaries and scan data are separate stores, so listing scans doesn't read
+ * every scan's elements.
+ */
+
+const SCAN_STORE_DB = "3dom-scans";
+const SCAN_SUMMARY_STORE = "scans";
+const SCAN_DATA_STORE = "scanData";
+
+// Oldest scans are removed once there are more than this many, except the
+// ones filed in a comparison slot
+const MAX_STORED_SCANS = 50;
+
+let scanStorePromise = null;
+
+// Create a new, unique scan ID
+function createScanId() {
+  return `scan-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+}
+
+// Open (and create on first use) the scan database
+function openScanStore() {
+  if (!scanStorePromise) {
+    scanStorePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SCAN_STORE_DB, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SCAN_SUMMARY_STORE, { keyPath: "id" });
+        db.createObjectStore(SCAN_DATA_STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return scanStorePromise;
+}
+
+// Resolve with a request's result once it succeeds
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve once a transaction has been committed
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Store (or replace) a scan, then drop the oldest scans over the limit.
+// details can add a thumbnail data URL. Saving a scan again (after live
+// changes) keeps its creation time, thumbnail and any title it was renamed to.
+function saveScan(id, domData, details = {}) {
+  const metrics = domData.pageMetrics || {};
+
+  return openScanStore()
+    .then((db) => {
+      const transaction = db.transaction(
+        [SCAN_SUMMARY_STORE, SCAN_DATA_STORE],
+        "readwrite"
+      );
+      const summaries = transaction.objectStore(SCAN_SUMMARY_STORE);
+      let summary = null;
+
+      summaries.get(id).onsuccess = (event) => {
+        const existing = event.target.result || {};
+        summary = {
+          id: id,
+          createdAt: existing.createdAt || Date.now(),
+          savedAt: Date.now(),
+          url: metrics.url || "",
+          title: existing.title || metrics.title || "",
+          elementCount: domData.elements.length,
+          thumbnail: details.thumbnail || existing.thumbnail || null,
+        };
+        summaries.put(summary);
+      };
+      transaction.objectStore(SCAN_DATA_STORE).put({ id: id, domData: domData });
+
+      return promisifyTransaction(transaction).then(() => summary);
+    })
+    .then((summary) => pruneScans().then(() => summary));
+}
+
+// Give a stored scan a new title
+function renameScan(id, title) {
+  return openScanStore().then((db) => {
+    const transaction = db.transaction(SCAN_SUMMARY_STORE, "readwrite");
+    const summaries = transaction.objectStore(SCAN_SUMMARY_STORE);
+    summaries.get(id).onsuccess = (event) => {
+      const summary = event.target.result;
+      if (summary) {
+        summary.title = title;
+        summaries.put(summary);
+      }
+    };
+    return promisifyTransaction(transaction);
+  });
+}
+
+// Load a scan's data by ID. Resolves with null if it isn't stored.
+function loadScan(id) {
+  return openScanStore()
+    .then((db) =>
+      promisifyRequest(
+        db.transaction(SCAN_DATA_STORE, "readonly")
+          .objectStore(SCAN_DATA_STORE)
+          .get(id)
+      )
+    )
+    .then((record) => (record ? record.domData : null));
+}
+
+// List the summaries of all stored scans, newest first
+function listScans() {
+  return openScanStore()
+    .then((db) =>
+      promisifyRequest(
+        db.transaction(SCAN_SUMMARY_STORE, "readonly")
+          .objectStore(SCAN_SUMMARY_STORE)
+          .getAll()
+      )
+    )
+    .then((summaries) => summaries.sort((a, b) => b.createdAt - a.createdAt));
+}
+
+// Delete scans (summary and data) by ID, and empty the comparison slots that
+// held them
+function deleteScans(ids) {
+  if (ids.length === 0) {
+    return Promise.resolve();
+  }
+
+  return openScanStore()
+    .then((db) => {
+      const transaction = db.transaction(
+        [SCAN_SUMMARY_STORE, SCAN_DATA_STORE],
+        "readwrite"
+      );
+      ids.forEach((id) => {
+        transaction.objectStore(SCAN_SUMMARY_STORE).delete(id);
+        transaction.objectStore(SCAN_DATA_STORE).delete(id);
+      });
+      return promisifyTransaction(transaction);
+    })
+    .then(() => clearComparisonSlots(ids));
+}
+
+// Drop the oldest scans over MAX_STORED_SCANS, keeping the ones in a
+// comparison slot
+function pruneScans() {
+  return Promise.all([listScans(), getComparisonScanIds()]).then(
+    ([summaries, comparisonIds]) =>
+      deleteScans(
+        summaries
+          .slice(MAX_STORED_SCANS)
+          .map((summary) => summary.id)
+          .filter((id) => !comparisonIds.has(id))
+      )
+  );
+}
+
+// IDs of the scans filed in comparison slots (kept in chrome.storage.local by
+// the background script's setComparisonSlot)
+function getComparisonScanIds() {
+  return chrome.storage.local
+    .get({ comparisonSlots: {} })
+    .then(
+      ({ comparisonSlots }) =>
+        new Set(Object.values(comparisonSlots).map((entry) => entry.scanId))
+    );
+}
+
+// Empty the comparison slots holding any of the given scans
+function clearComparisonSlots(ids) {
+  return chrome.storage.local
+    .get({ comparisonSlots: {} })
+    .then(({ comparisonSlots }) => {
+      const slots = Object.keys(comparisonSlots).filter((slot) =>
+        ids.includes(comparisonSlots[slot].scanId)
+      );
+      if (slots.length === 0) {
+        return;
+      }
+      slots.forEach((slot) => delete comparisonSlots[slot]);
+      return chrome.storage.local.set({ comparisonSlots });
+    });
+}
+
+// Apply a live scan patch to DOM data: the background keeps stored scans
+// current with it, and the viewer the scan it exports
+function applyDomPatch(domData, patch) {
+  const removed = new Set(patch.removed);
+  const changed = new Map();
+  patch.added.concat(patch.updated).forEach((element) => {
+    changed.set(element.nodeId, element);
+  });
+
+  domData.elements = domData.elements
+    .filter((element) => !removed.has(element.nodeId))
+    .map((element) => {
+      const replacement = changed.get(element.nodeId);
+      if (replacement) {
+        changed.delete(element.nodeId);
+        return replacement;
+      }
+      return element;
+    });
+
+  // Added elements not in the stored data yet go at the end; updates to
+  // elements it does not have are dropped, as the viewer drops them
+  patch.added.forEach((element) => {
+    if (changed.has(element.nodeId)) {
+      domData.elements.push(element);
+    }
+  });
+}
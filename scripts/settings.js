@@ -0,0 +1,46 @@
+/**
+ * 3DOM - Settings
+ * Defaults for the user settings kept in chrome.storage.sync, and loading
+ * them. Shared by the content script, background script, viewer and options
+ * page (options.html), where they can be changed.
+ */
+
+// Declared with var: like content.js, this file can be injected into a page
+// more than once, and redeclaring a const would throw
+var SETTINGS_DEFAULTS = {
+  // Scanning
+  elementBudget: 300, // Elements kept after scoring (0 means no limit)
+  minElementSize: 10, // Elements narrower or shorter than this (px) are dropped
+  maxTextLength: 500, // Text content is truncated to this many characters
+  maxImageSize: 400, // Images are scaled down to fit this many pixels
+  autoScroll: false,
+  autoScrollSelector: "",
+  autoScrollMaxSteps: 30,
+  autoScrollMaxTime: 20000, // ms
+
+  // Rendering
+  hiddenCategories: ["toggle-text", "toggle-other"], // Visibility checkbox IDs
+  heightSource: "stackingLayer",
+  heightScale: "linear", // linear, log or rank
+  baseHeight: 0.5, // Height of one building storey
+  minCameraHeight: 25,
+  maxCameraHeight: 1000,
+};
+
+// Read all settings, with defaults for any that aren't set (or all of them if
+// storage can't be read)
+function loadSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(SETTINGS_DEFAULTS, (settings) => {
+      if (chrome.runtime.lastError) {
+        console.warn(
+          "3DOM: Could not read settings, using defaults",
+          chrome.runtime.lastError
+        );
+        resolve({ ...SETTINGS_DEFAULTS });
+        return;
+      }
+      resolve(settings);
+    });
+  });
+}
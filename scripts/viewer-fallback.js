@@ -5,11 +5,17 @@
 
 // Load the modules in the correct order
 const modules = [
+  "/scripts/settings.js",
+  "/scripts/scan-store.js",
   "/scripts/viewer/utils.js",
   "/scripts/viewer/images.js",
   "/scripts/viewer/city.js",
+  "/scripts/viewer/batches.js",
   "/scripts/viewer/elements.js",  // Changed from exhibits.js
+  "/scripts/viewer/labels.js",
+  "/scripts/viewer/diff.js",
   "/scripts/viewer/core.js",
+  "/scripts/viewer/scan-file.js",
 ];
 
 // Function to load scripts sequentially
@@ -0,0 +1,366 @@
+/**
+ * 3DOM - Building Batches
+ * Draws buildings as InstancedMeshes, one per shared geometry and pass,
+ * instead of a mesh each. Every building is still a Mesh of its own, with its
+ * own material, so picking, hover, pulses and visibility work on it as before;
+ * it just isn't added to the scene. Whatever changes a building marks it dirty
+ * (markBuildingDirty), and on the next frame updateBuildingBatches copies its
+ * transform, visibility, color, emissive glow and opacity into its instance.
+ */
+
+// Shared unit geometries; buildings are scaled to their footprint and height
+const BUILDING_GEOMETRIES = {
+  box: new THREE.BoxGeometry(1, 1, 1),
+  cylinder: new THREE.CylinderGeometry(0.5, 0.5, 1, 32),
+};
+
+// Rounded-rectangle geometries by shape (see getRoundedBuildingGeometry),
+// least recently used first. Shapes are measured in units of the shorter
+// side: the longer side is rounded to ROUNDED_ASPECT_STEP of it and each
+// corner's radii to ROUNDED_RADIUS_STEP, so elements with the same
+// proportions and corners share a geometry and a batch. Shapes no building
+// uses are kept for reuse, up to ROUNDED_GEOMETRY_CACHE_SIZE shapes.
+const roundedGeometries = new Map();
+const ROUNDED_ASPECT_STEP = 0.05;
+const ROUNDED_RADIUS_STEP = 0.01;
+const ROUNDED_GEOMETRY_CACHE_SIZE = 64;
+const ROUNDED_CURVE_SEGMENTS = 6; // Per corner
+
+// Instances a batch has room for at first; it doubles when full. Rounded
+// shapes are rarer, so their batches start small.
+const BATCH_INITIAL_CAPACITY = 256;
+const ROUNDED_BATCH_INITIAL_CAPACITY = 16;
+
+// Instances can't be sorted back to front, so each geometry has two passes.
+// Buildings at least this opaque (the page's normal flow) are drawn first and
+// write depth, so nearer ones hide the ones behind them. More see-through
+// ones (fixed and sticky overlays) are drawn after them without writing
+// depth, so they never hide each other.
+const SOLID_MIN_OPACITY = 0.7;
+const BATCH_PASSES = {
+  solid: { depthWrite: true, renderOrder: -2 },
+  translucent: { depthWrite: false, renderOrder: -1 },
+};
+
+// Hidden buildings are drawn at zero scale
+const HIDDEN_INSTANCE_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// Batches by geometry and pass:
+// { geometry, sourceGeometry, pass, material, mesh, capacity, buildings, opacity, emissive }
+const buildingBatches = new Map();
+
+// Buildings whose instance is out of date
+const dirtyBuildings = new Set();
+
+// Draw a building with the batch for its geometry and pass
+function addBuildingInstance(building) {
+  const batch = getBuildingBatch(building.geometry, getBuildingPass(building));
+  if (batch.buildings.length === batch.capacity) {
+    allocateBatchMesh(batch, batch.capacity * 2);
+  }
+  building.userData.batch = batch;
+  building.userData.batchIndex = batch.buildings.length;
+  batch.buildings.push(building);
+  batch.mesh.count = batch.buildings.length;
+  batch.mesh.visible = true;
+  dirtyBuildings.add(building);
+}
+
+// Stop drawing a building; the last building of its batch takes over its
+// instance. Returns false if the building wasn't batched.
+function removeBuildingInstance(building) {
+  const batch = building.userData.batch;
+  const index = building.userData.batchIndex;
+  if (!batch || batch.buildings[index] !== building) {
+    return false;
+  }
+
+  const last = batch.buildings.pop();
+  if (last !== building) {
+    batch.buildings[index] = last;
+    last.userData.batchIndex = index;
+    dirtyBuildings.add(last);
+  }
+  batch.mesh.count = batch.buildings.length;
+  // Batches emptied by removed buildings aren't drawn
+  batch.mesh.visible = batch.buildings.length > 0;
+  delete building.userData.batch;
+  delete building.userData.batchIndex;
+  dirtyBuildings.delete(building);
+  return true;
+}
+
+// Have a building's instance updated on the next frame. Call after changing
+// its position, scale, visibility or material; objects that aren't batched
+// buildings are ignored.
+function markBuildingDirty(object) {
+  if (object.userData.batch) {
+    dirtyBuildings.add(object);
+  }
+}
+
+function getBuildingPass(building) {
+  return building.material.opacity >= SOLID_MIN_OPACITY ? 'solid' : 'translucent';
+}
+
+// Find the building under a ray (set up with raycaster.setFromCamera), or null.
+// Only the batches are tested, with hidden buildings drawn at zero scale.
+function pickBuilding(raycaster) {
+  const meshes = [];
+  buildingBatches.forEach(batch => {
+    if (batch.mesh.visible) {
+      meshes.push(batch.mesh);
+    }
+  });
+
+  const hit = raycaster.intersectObjects(meshes, false)
+    .find(intersection => intersection.instanceId !== undefined);
+  return hit ? hit.object.userData.batch.buildings[hit.instanceId] : null;
+}
+
+// Get the geometry of a rounded rectangle width x depth, extruded one unit
+// tall, creating it on first use. Sizes are in units of the shorter side;
+// corners are { x, y } radii in CSS order (top-left, top-right, bottom-right,
+// bottom-left), so pills and per-corner radii keep their shape.
+function getRoundedBuildingGeometry(width, depth, corners) {
+  const round = (value, step) => Math.round(value / step) * step;
+  width = Math.max(round(width, ROUNDED_ASPECT_STEP), 1);
+  depth = Math.max(round(depth, ROUNDED_ASPECT_STEP), 1);
+  // Slight corners stay rounded rather than rounding down to square
+  const roundRadius = (value, max) =>
+    value > 0 ? Math.min(Math.max(round(value, ROUNDED_RADIUS_STEP), ROUNDED_RADIUS_STEP), max) : 0;
+  corners = corners.map(corner => ({
+    x: roundRadius(corner.x, width / 2),
+    y: roundRadius(corner.y, depth / 2),
+  }));
+
+  const key = [width, depth].concat(...corners.map(corner => [corner.x, corner.y]))
+    .map(value => value.toFixed(2))
+    .join(' ');
+  let geometry = roundedGeometries.get(key);
+  if (geometry) {
+    // Most recently used goes last (see trimRoundedGeometries)
+    roundedGeometries.delete(key);
+  } else {
+    geometry = new THREE.ExtrudeGeometry(createRoundedShape(width, depth, corners), {
+      depth: 1,
+      bevelEnabled: false,
+      curveSegments: ROUNDED_CURVE_SEGMENTS,
+    });
+    // Stand the extrusion up along Y and center it like the unit box. The
+    // shape's +Y (the top of the element) becomes -Z, the top of the page.
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(0, -0.5, 0);
+    // The rounded size, for scaling buildings to their exact footprint
+    geometry.userData = { width, depth, key };
+  }
+  roundedGeometries.set(key, geometry);
+  return geometry;
+}
+
+// Outline of a rectangle centered on the origin, with an elliptical arc at
+// each corner that has both radii
+function createRoundedShape(width, depth, corners) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const left = -width / 2;
+  const right = width / 2;
+  const top = depth / 2;
+  const bottom = -depth / 2;
+  const shape = new THREE.Shape();
+
+  const corner = (radius, x, y, centerX, centerY, startAngle) => {
+    if (radius.x > 0 && radius.y > 0) {
+      shape.absellipse(centerX, centerY, radius.x, radius.y, startAngle, startAngle - Math.PI / 2, true);
+    } else {
+      shape.lineTo(x, y);
+    }
+  };
+
+  // Clockwise from the top-left corner's end
+  shape.moveTo(left + (topLeft.x > 0 && topLeft.y > 0 ? topLeft.x : 0), top);
+  corner(topRight, right, top, right - topRight.x, top - topRight.y, Math.PI / 2);
+  corner(bottomRight, right, bottom, right - bottomRight.x, bottom + bottomRight.y, 0);
+  corner(bottomLeft, left, bottom, left + bottomLeft.x, bottom + bottomLeft.y, -Math.PI / 2);
+  corner(topLeft, left, top, left + topLeft.x, top - topLeft.y, Math.PI);
+  return shape;
+}
+
+function getBuildingBatch(geometry, pass) {
+  const key = `${geometry.uuid} ${pass}`;
+  let batch = buildingBatches.get(key);
+  if (!batch) {
+    batch = {
+      geometry: null,
+      sourceGeometry: geometry,
+      pass,
+      material: createBatchMaterial(BATCH_PASSES[pass].depthWrite),
+      mesh: null,
+      capacity: 0,
+      buildings: [],
+      opacity: null,
+      emissive: null,
+    };
+    const isRounded = roundedGeometries.get(geometry.userData.key) === geometry;
+    allocateBatchMesh(batch, isRounded ? ROUNDED_BATCH_INITIAL_CAPACITY : BATCH_INITIAL_CAPACITY);
+    buildingBatches.set(key, batch);
+  }
+  return batch;
+}
+
+// (Re)create a batch's InstancedMesh with room for capacity buildings. The
+// batch draws a copy of the shared geometry, which carries its per-instance
+// opacity and emissive attributes.
+function allocateBatchMesh(batch, capacity) {
+  if (batch.mesh) {
+    scene.remove(batch.mesh);
+    batch.mesh.dispose();
+    batch.geometry.dispose();
+  }
+
+  batch.geometry = batch.sourceGeometry.clone();
+  batch.opacity = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+  batch.emissive = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  batch.opacity.setUsage(THREE.DynamicDrawUsage);
+  batch.emissive.setUsage(THREE.DynamicDrawUsage);
+  batch.geometry.setAttribute('instanceOpacity', batch.opacity);
+  batch.geometry.setAttribute('instanceEmissive', batch.emissive);
+
+  const mesh = new THREE.InstancedMesh(batch.geometry, batch.material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+  mesh.count = batch.buildings.length;
+  mesh.visible = batch.buildings.length > 0;
+  mesh.renderOrder = BATCH_PASSES[batch.pass].renderOrder;
+  // Instances spread far beyond the unit geometry's bounds
+  mesh.frustumCulled = false;
+  // For pickBuilding
+  mesh.userData.batch = batch;
+
+  batch.mesh = mesh;
+  batch.capacity = capacity;
+  scene.add(mesh);
+
+  // Every instance is rewritten on the next frame
+  batch.buildings.forEach(building => dirtyBuildings.add(building));
+}
+
+// Glassy material shared by a batch, with per-instance opacity and emissive
+// glow added to the standard shader
+function createBatchMaterial(depthWrite) {
+  const material = new THREE.MeshStandardMaterial({
+    roughness: 0.2,
+    metalness: 0.1,
+    transparent: true,
+    depthWrite,
+  });
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', [
+        '#include <common>',
+        'attribute float instanceOpacity;',
+        'attribute vec3 instanceEmissive;',
+        'varying float vInstanceOpacity;',
+        'varying vec3 vInstanceEmissive;',
+      ].join('\n'))
+      .replace('#include <begin_vertex>', [
+        '#include <begin_vertex>',
+        'vInstanceOpacity = instanceOpacity;',
+        'vInstanceEmissive = instanceEmissive;',
+      ].join('\n'));
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', [
+        '#include <common>',
+        'varying float vInstanceOpacity;',
+        'varying vec3 vInstanceEmissive;',
+      ].join('\n'))
+      .replace('#include <emissivemap_fragment>', [
+        '#include <emissivemap_fragment>',
+        'diffuseColor.a *= vInstanceOpacity;',
+        'totalEmissiveRadiance += vInstanceEmissive;',
+      ].join('\n'));
+  };
+
+  return material;
+}
+
+// Copy the state of the buildings marked dirty into their instances, moving
+// buildings whose opacity crossed SOLID_MIN_OPACITY to the other pass, then
+// free the rounded shapes beyond the cache size (called each frame, see
+// animate)
+function updateBuildingBatches() {
+  if (dirtyBuildings.size === 0) {
+    return;
+  }
+
+  const buildings = new Set(dirtyBuildings);
+  dirtyBuildings.clear();
+  buildings.forEach(building => {
+    if (building.userData.batch.pass !== getBuildingPass(building)) {
+      removeBuildingInstance(building);
+      addBuildingInstance(building);
+    }
+  });
+  // Moving marks the building and the one that took over its old instance
+  dirtyBuildings.forEach(building => buildings.add(building));
+  dirtyBuildings.clear();
+
+  buildings.forEach(writeBuildingInstance);
+  trimRoundedGeometries();
+}
+
+// Free the least recently used rounded shapes that no building is drawn
+// with, and their batches, until at most ROUNDED_GEOMETRY_CACHE_SIZE are left.
+// The shared box and cylinder batches are kept.
+function trimRoundedGeometries() {
+  for (const [key, geometry] of roundedGeometries) {
+    if (roundedGeometries.size <= ROUNDED_GEOMETRY_CACHE_SIZE) {
+      break;
+    }
+    const batches = Object.keys(BATCH_PASSES)
+      .map(pass => buildingBatches.get(`${geometry.uuid} ${pass}`))
+      .filter(Boolean);
+    if (batches.some(batch => batch.buildings.length > 0)) {
+      continue;
+    }
+
+    batches.forEach(batch => {
+      scene.remove(batch.mesh);
+      batch.mesh.dispose();
+      batch.geometry.dispose();
+      batch.material.dispose();
+      buildingBatches.delete(`${geometry.uuid} ${batch.pass}`);
+    });
+    geometry.dispose();
+    roundedGeometries.delete(key);
+  }
+}
+
+// Write a building's transform, color, opacity and glow into its instance
+function writeBuildingInstance(building) {
+  const batch = building.userData.batch;
+  const index = building.userData.batchIndex;
+  if (!batch) {
+    return;
+  }
+
+  building.updateMatrixWorld();
+  const matrix = building.visible ? building.matrixWorld : HIDDEN_INSTANCE_MATRIX;
+  matrix.toArray(batch.mesh.instanceMatrix.array, index * 16);
+
+  const material = building.material;
+  const color = getDiffBuildingColor(building) || material.color;
+  color.toArray(batch.mesh.instanceColor.array, index * 3);
+  batch.opacity.array[index] = material.opacity;
+
+  const intensity = material.emissiveIntensity || 0;
+  batch.emissive.array[index * 3] = material.emissive.r * intensity;
+  batch.emissive.array[index * 3 + 1] = material.emissive.g * intensity;
+  batch.emissive.array[index * 3 + 2] = material.emissive.b * intensity;
+
+  batch.mesh.instanceMatrix.needsUpdate = true;
+  batch.mesh.instanceColor.needsUpdate = true;
+  batch.opacity.needsUpdate = true;
+  batch.emissive.needsUpdate = true;
+}
@@ -3,6 +3,19 @@
  * Renders webpage as a city from bird's-eye view with ground plane and districts
  */
 
+// Height of each frame annex level above the main city
+const ANNEX_HEIGHT = 4;
+
+// Height of the sky layer that holds position: fixed elements
+const SKY_LAYER_ELEVATION = 30;
+
+// Scroll container towers: one floor per screen of scrollable content (capped),
+// stacked over the container. Unfolded content is laid out to the right of the
+// city, SCROLL_BLOCK_GAP page pixels from the page or the previous block.
+const SCROLL_TOWER_FLOOR_HEIGHT = 1;
+const MAX_SCROLL_TOWER_FLOORS = 8;
+const SCROLL_BLOCK_GAP = 100;
+
 // Create ground plane based on page dimensions
 function createGroundPlane(pageMetrics) {
   if (!pageMetrics || typeof pageMetrics.width !== 'number' || typeof pageMetrics.height !== 'number') {
@@ -32,63 +45,383 @@ function createGroundPlane(pageMetrics) {
   const ground = new THREE.Mesh(groundGeometry, groundMaterial);
   ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
   ground.position.y = 0;
-  ground.receiveShadow = true; // Enable to receive shadows from elements
 
   return { ground, scale };
 }
 
-// Create district planes for containers with background colors
-function createDistricts(elements, pageMetrics, scale) {
-  const districts = new THREE.Group();
+// Create the district plane of a container with a background color, or null
+// for other elements
+function createDistrict(element, pageMetrics, scale) {
+  const isDistrict =
+    element.type === 'container' &&
+    element.styles.backgroundColor &&
+    element.styles.backgroundColor !== 'rgba(0, 0, 0, 0)' &&
+    element.dimensions.width > 50 && // Skip tiny containers
+    element.dimensions.height > 50 &&
+    !element.positioning; // Fixed and sticky elements don't sit on the ground
+  if (!isDistrict) {
+    return null;
+  }
 
-  // Filter elements that are containers with background colors
-  const containerElements = elements.filter(element => {
-    return (
-      element.type === 'container' &&
-      element.styles.backgroundColor &&
-      element.styles.backgroundColor !== 'rgba(0, 0, 0, 0)' &&
-      element.dimensions.width > 50 && // Skip tiny containers
-      element.dimensions.height > 50
-    );
+  const width = element.dimensions.width * scale;
+  const depth = element.dimensions.height * scale;
+
+  // Skip if too small after scaling
+  if (width < 1 || depth < 1) return null;
+
+  const districtGeometry = new THREE.PlaneGeometry(width, depth);
+
+  // Parse the background color
+  let color = 0xffffff;
+  try {
+    color = new THREE.Color(element.styles.backgroundColor);
+  } catch (e) {
+    console.warn('Failed to parse color:', element.styles.backgroundColor);
+  }
+
+  const districtMaterial = new THREE.MeshStandardMaterial({
+    color: color,
+    transparent: true,
+    opacity: 0.7,
+    roughness: 0.8,
+    metalness: 0.1,
   });
 
-  containerElements.forEach(element => {
-    const width = element.dimensions.width * scale;
-    const depth = element.dimensions.height * scale;
+  const district = new THREE.Mesh(districtGeometry, districtMaterial);
+  district.rotation.x = -Math.PI / 2;
+  district.position.set(
+    (element.position.x + element.dimensions.width / 2) * scale - (pageMetrics.width * scale) / 2,
+    0.01, // Slightly above ground to prevent z-fighting
+    (element.position.y + element.dimensions.height / 2) * scale - (pageMetrics.height * scale) / 2
+  );
+
+  return district;
+}
+
+// Create raised annex districts for embedded frames
+function createFrameAnnexes(frames, pageMetrics, scale) {
+  const annexes = {};
+
+  frames.forEach(frame => {
+    const width = frame.dimensions.width * scale;
+    const depth = frame.dimensions.height * scale;
 
     // Skip if too small after scaling
     if (width < 1 || depth < 1) return;
 
-    const districtGeometry = new THREE.PlaneGeometry(width, depth);
+    const elevation = frame.level * ANNEX_HEIGHT;
+    const group = new THREE.Group();
+    group.position.set(
+      (frame.position.x + frame.dimensions.width / 2) * scale - (pageMetrics.width * scale) / 2,
+      0,
+      (frame.position.y + frame.dimensions.height / 2) * scale - (pageMetrics.height * scale) / 2
+    );
+
+    // Platform raised to the annex level; cross-origin frames are dimmed
+    const platformGeometry = new THREE.BoxGeometry(width, elevation, depth);
+    const platformMaterial = new THREE.MeshStandardMaterial({
+      color: frame.crossOrigin ? 0x555555 : 0x34495e,
+      transparent: true,
+      opacity: frame.crossOrigin ? 0.5 : 0.35,
+      roughness: 0.8,
+      metalness: 0.1,
+    });
+    const platform = new THREE.Mesh(platformGeometry, platformMaterial);
+    platform.position.y = elevation / 2;
+    group.add(platform);
+
+    // Cross-origin frames could not be scanned, so label them with their src
+    if (frame.crossOrigin) {
+      const label = createTextPlane(`Cross-origin frame: ${frame.src || 'unknown source'}`, width, depth);
+      if (label) {
+        label.rotation.x = -Math.PI / 2;
+        label.position.y = elevation + 0.01;
+        group.add(label);
+      }
+    }
+
+    group.userData = { frame, elevation };
+    annexes[frame.id] = group;
+  });
+
+  return annexes;
+}
+
+// Get the elevation of the annex an element belongs to (0 for the main page)
+function getFrameElevation(element) {
+  const annexes = window.cityData && window.cityData.frameAnnexes;
+  if (!element.frameId || !annexes || !annexes[element.frameId]) {
+    return 0;
+  }
+  return annexes[element.frameId].userData.elevation;
+}
+
+// Get the elevation an element's building stands on: the sky layer for fixed
+// elements, otherwise its frame annex (0 for the main page)
+function getElementElevation(element) {
+  if (isSkyElement(element)) {
+    return SKY_LAYER_ELEVATION;
+  }
+  return getFrameElevation(element);
+}
+
+// Whether an element is drawn on the sky layer
+function isSkyElement(element) {
+  return Boolean(element.positioning && element.positioning.mode === 'fixed' && element.positioning.viewport);
+}
+
+// Get the sky layer, creating it on first use: a translucent frame the size of
+// the viewport, floating over the top of the page. Fixed elements are placed
+// inside it by their position in the viewport.
+function getSkyLayer() {
+  const cityData = window.cityData;
+  if (cityData.skyLayer) {
+    return cityData.skyLayer;
+  }
+
+  const { pageMetrics, scale } = cityData;
+  const viewportWidth = pageMetrics.viewportWidth || pageMetrics.width;
+  const viewportHeight = pageMetrics.viewportHeight || pageMetrics.height;
+  const width = viewportWidth * scale;
+  const depth = viewportHeight * scale;
+
+  const group = new THREE.Group();
+  group.position.set(
+    width / 2 - (pageMetrics.width * scale) / 2,
+    SKY_LAYER_ELEVATION,
+    depth / 2 - (pageMetrics.height * scale) / 2
+  );
+
+  const paneGeometry = new THREE.PlaneGeometry(width, depth);
+  const pane = new THREE.Mesh(paneGeometry, new THREE.MeshBasicMaterial({
+    color: 0x87ceeb,
+    transparent: true,
+    opacity: 0.08,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+  }));
+  pane.rotation.x = -Math.PI / 2;
+  group.add(pane);
+
+  const outline = new THREE.LineSegments(
+    new THREE.EdgesGeometry(paneGeometry),
+    new THREE.LineBasicMaterial({ color: 0x87ceeb, transparent: true, opacity: 0.6 })
+  );
+  outline.rotation.x = -Math.PI / 2;
+  group.add(outline);
+
+  scene.add(group);
+  cityData.skyLayer = group;
+  return group;
+}
+
+// Track a scroll container element so its content can be folded and unfolded.
+// Calling it again (e.g. from a live patch) refreshes the element data.
+function registerScrollContainer(element) {
+  const containers = window.cityData.scrollContainers;
+  const id = element.scrollContainer.id;
+  if (containers[id]) {
+    containers[id].element = element;
+  } else {
+    containers[id] = { element, origin: null, tower: null };
+  }
+  return containers[id];
+}
+
+// Lay a scroll container's full content out next to the city
+function unfoldScrollContainer(id) {
+  const containers = window.cityData.scrollContainers;
+  const state = containers[id];
+  if (!state || state.origin) return;
+
+  // Place the block right of the page, after any block already unfolded
+  let right = window.cityData.pageMetrics.width;
+  Object.values(containers).forEach(other => {
+    if (other.origin) {
+      right = Math.max(right, other.origin.x + other.element.scrollContainer.scrollWidth);
+    }
+  });
+
+  state.origin = {
+    x: right + SCROLL_BLOCK_GAP,
+    y: state.element.scrollContainer.viewport.y,
+  };
+}
+
+// Put a scroll container's content back in its clipped on-page slice
+function foldScrollContainer(id) {
+  const state = window.cityData.scrollContainers[id];
+  if (state) {
+    state.origin = null;
+  }
+}
+
+// How far (in page pixels) an element is moved from its captured position
+// because it sits in an unfolded scroll container, or in a container that moved
+function getScrollShift(element) {
+  const containers = window.cityData && window.cityData.scrollContainers;
+  const state = containers && element.scrollContainerId && containers[element.scrollContainerId];
+  if (!state || !element.scrollPosition) {
+    return { x: 0, y: 0 };
+  }
+
+  if (state.origin) {
+    return {
+      x: state.origin.x + element.scrollPosition.x - element.position.x,
+      y: state.origin.y + element.scrollPosition.y - element.position.y,
+    };
+  }
+
+  // Folded content moves along with its container
+  return getScrollShift(state.element);
+}
+
+// Whether an element is shown given the scroll containers it sits in: all of an
+// unfolded container's content is shown, but only the visible slice of a folded one
+function isScrollContentShown(element) {
+  const containers = window.cityData && window.cityData.scrollContainers;
+  const state = containers && element.scrollContainerId && containers[element.scrollContainerId];
+  if (!state) {
+    return true;
+  }
+  if (state.origin) {
+    return true;
+  }
+
+  const viewport = state.element.scrollContainer.viewport;
+  const overlaps =
+    element.position.x < viewport.x + viewport.width &&
+    element.position.x + element.dimensions.width > viewport.x &&
+    element.position.y < viewport.y + viewport.height &&
+    element.position.y + element.dimensions.height > viewport.y;
+
+  return overlaps && isScrollContentShown(state.element);
+}
 
-    // Parse the background color
-    let color = 0xffffff;
-    try {
-      color = new THREE.Color(element.styles.backgroundColor);
-    } catch (e) {
-      console.warn('Failed to parse color:', element.styles.backgroundColor);
+// Stop tracking a scroll container that left the page
+function removeScrollContainer(id) {
+  const containers = window.cityData.scrollContainers;
+  const state = containers[id];
+  if (!state) return;
+
+  if (state.tower) {
+    scene.remove(state.tower);
+    disposeObject(state.tower);
+  }
+  delete containers[id];
+}
+
+// Rebuild the tower (and unfolded block) for every registered scroll container
+function refreshScrollTowers() {
+  const containers = window.cityData && window.cityData.scrollContainers;
+  if (!containers) return;
+
+  Object.values(containers).forEach(state => {
+    if (state.tower) {
+      scene.remove(state.tower);
+      disposeObject(state.tower);
     }
+    state.tower = createScrollTower(state);
+    scene.add(state.tower);
+  });
+}
+
+// Stack one outlined floor per screen of content over the container, and when
+// unfolded, draw the block holding its content and a line leading to it
+function createScrollTower(state) {
+  const { scale, pageMetrics } = window.cityData;
+  const element = state.element;
+  const scrollData = element.scrollContainer;
+  const group = new THREE.Group();
+
+  const toScene = (x, y) => ({
+    x: x * scale - (pageMetrics.width * scale) / 2,
+    z: y * scale - (pageMetrics.height * scale) / 2,
+  });
+
+  const shift = getScrollShift(element);
+  const viewport = scrollData.viewport;
+  const center = toScene(
+    viewport.x + shift.x + viewport.width / 2,
+    viewport.y + shift.y + viewport.height / 2
+  );
+  const width = viewport.width * scale;
+  const depth = viewport.height * scale;
+  const base = getElementElevation(element) + getElementHeight(element);
+
+  const screens = Math.max(
+    scrollData.scrollHeight / Math.max(viewport.height, 1),
+    scrollData.scrollWidth / Math.max(viewport.width, 1)
+  );
+  const floors = Math.min(Math.max(Math.ceil(screens), 2), MAX_SCROLL_TOWER_FLOORS);
+  const lineMaterial = new THREE.LineBasicMaterial({
+    color: state.origin ? 0x2ecc71 : 0xf1c40f,
+    transparent: true,
+    opacity: 0.8,
+  });
 
-    const districtMaterial = new THREE.MeshStandardMaterial({
-      color: color,
+  for (let floor = 0; floor < floors; floor++) {
+    const floorGeometry = new THREE.EdgesGeometry(
+      new THREE.BoxGeometry(width, SCROLL_TOWER_FLOOR_HEIGHT * 0.8, depth)
+    );
+    const outline = new THREE.LineSegments(floorGeometry, lineMaterial);
+    outline.position.set(center.x, base + (floor + 0.5) * SCROLL_TOWER_FLOOR_HEIGHT, center.z);
+    group.add(outline);
+  }
+
+  if (state.origin) {
+    const blockWidth = scrollData.scrollWidth * scale;
+    const blockDepth = scrollData.scrollHeight * scale;
+    const blockCenter = toScene(
+      state.origin.x + scrollData.scrollWidth / 2,
+      state.origin.y + scrollData.scrollHeight / 2
+    );
+    const elevation = getElementElevation(element);
+
+    const blockGeometry = new THREE.PlaneGeometry(blockWidth, blockDepth);
+    const block = new THREE.Mesh(blockGeometry, new THREE.MeshStandardMaterial({
+      color: 0x2c3e50,
       transparent: true,
-      opacity: 0.7,
+      opacity: 0.5,
       roughness: 0.8,
       metalness: 0.1,
-    });
+      side: THREE.DoubleSide,
+    }));
+    block.rotation.x = -Math.PI / 2;
+    block.position.set(blockCenter.x, elevation + 0.02, blockCenter.z);
+    group.add(block);
+
+    const blockOutline = new THREE.LineSegments(new THREE.EdgesGeometry(blockGeometry), lineMaterial);
+    blockOutline.rotation.x = -Math.PI / 2;
+    blockOutline.position.copy(block.position);
+    group.add(blockOutline);
 
-    const district = new THREE.Mesh(districtGeometry, districtMaterial);
-    district.rotation.x = -Math.PI / 2;
-    district.position.set(
-      (element.position.x + element.dimensions.width / 2) * scale - (pageMetrics.width * scale) / 2,
-      0.01, // Slightly above ground to prevent z-fighting
-      (element.position.y + element.dimensions.height / 2) * scale - (pageMetrics.height * scale) / 2
+    // Lead from the tower to the block's top-left corner
+    const blockCorner = toScene(state.origin.x, state.origin.y);
+    const connector = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(center.x, base, center.z),
+        new THREE.Vector3(blockCorner.x, elevation + 0.05, blockCorner.z),
+      ]),
+      lineMaterial
     );
+    group.add(connector);
+  }
 
-    districts.add(district);
-  });
+  group.userData = { scrollContainerId: scrollData.id };
+  return group;
+}
 
-  return districts;
+// Free the geometries and materials of an object tree
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+    if (child.material) {
+      child.material.dispose();
+    }
+  });
 }
 
 // Initialize city scene
@@ -108,13 +441,52 @@ function initCityScene(domData) {
   }
   scene.add(ground);
 
-  const districts = createDistricts(domData.elements, domData.pageMetrics, scale);
-  scene.add(districts);
+  const frameAnnexes = createFrameAnnexes(domData.frames || [], domData.pageMetrics, scale);
+  Object.values(frameAnnexes).forEach(annex => scene.add(annex));
 
   // Store scale for use in element creation
   window.cityData = window.cityData || {};
   window.cityData.scale = scale;
   window.cityData.pageMetrics = domData.pageMetrics;
+  window.cityData.frameAnnexes = frameAnnexes;
+  // District planes by node ID, so live patches can replace them
+  window.cityData.districts = new Map();
+  window.cityData.skyLayer = null;
+  window.cityData.scrollContainers = {};
 
-  console.log('3DOM City: Ground and districts created, scale:', scale);
+  console.log('3DOM City: Ground and frame annexes created, scale:', scale);
+}
+
+// Add district planes for a batch of elements (they may arrive in chunks)
+function addCityDistricts(elements) {
+  if (!window.cityData || !window.cityData.pageMetrics) {
+    console.error('3DOM City: cityData not initialized. Call initCityScene first.');
+    return;
+  }
+
+  elements.forEach(setCityDistrict);
+}
+
+// Create, replace or drop an element's district plane to match the element
+function setCityDistrict(element) {
+  removeCityDistrict(element.nodeId);
+  const district = createDistrict(element, window.cityData.pageMetrics, window.cityData.scale);
+  if (district) {
+    scene.add(district);
+    window.cityData.districts.set(element.nodeId, district);
+  }
+}
+
+function hasCityDistrict(nodeId) {
+  return window.cityData.districts.has(nodeId);
+}
+
+// Drop the district plane of an element, if it has one
+function removeCityDistrict(nodeId) {
+  const district = window.cityData.districts.get(nodeId);
+  if (district) {
+    scene.remove(district);
+    disposeObject(district);
+    window.cityData.districts.delete(nodeId);
+  }
 }
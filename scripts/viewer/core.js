@@ -19,14 +19,44 @@ let mouse = new THREE.Vector2();
 let hoveredElement = null;
 let clickHandlerInitialized = false;
 let focusedInput = null;
+let selectBridge = null; // Open floating bridge: { element, bridge }
 let visibilityControlsInitialized = false;
 
-// Camera height constants (increased for larger scene)
-const MIN_CAMERA_HEIGHT = 25;
-const MAX_CAMERA_HEIGHT = 1000;
+// Chunked transfer in progress (see startStreamedScan)
+let transferState = null;
+let pendingTransferMessages = [];
+let transferStatusElement = null;
+
+// Whether the scan shown was loaded from the scan store rather than received
+// from a scan in progress (stored scans can't be watched live)
+let viewingStoredScan = false;
+
+// Data of the scan shown, kept current with live patches (see exportScan)
+let currentDomData = null;
+
+// Camera height limits, from the options page (see applyViewerSettings)
+let minCameraHeight = SETTINGS_DEFAULTS.minCameraHeight;
+let maxCameraHeight = SETTINGS_DEFAULTS.maxCameraHeight;
 
 // Hover effect constants
 const HOVER_OPACITY_INCREASE = 0.2;
+const HOVER_PICK_INTERVAL = 50; // ms between finding the building under the pointer
+
+// Labels for how external images were loaded (see proxyImages in content.js)
+const IMAGE_STATUS_LABELS = {
+  fetched: 'downloaded',
+  revalidated: 'checked, unchanged since cached',
+  cached: 'from cache',
+  inline: 'embedded in the page',
+  failed: 'failed to load',
+};
+
+// Labels for the reasons elements are dropped during a scan
+const DROP_REASON_LABELS = {
+  budget: 'over budget',
+  tooSmall: 'too small',
+  noContent: 'no content',
+};
 
 // Animation constants
 const PULSE_DURATION = 300;
@@ -35,6 +65,7 @@ const PULSE_MAX_INTENSITY = 0.5;
 const GLOW_MAX_INTENSITY = 1.0;
 const INPUT_FOCUS_INTENSITY = 0.8;
 const INPUT_FOCUS_COLOR = 0x00ffff;
+const HEIGHT_TRANSITION_DURATION = 600; // Buildings growing or shrinking to a new height mode
 
 // Initialize when DOM is loaded
 document.addEventListener("DOMContentLoaded", () => {
@@ -44,6 +75,9 @@ document.addEventListener("DOMContentLoaded", () => {
   // Check if we're in loading mode from URL parameter
   const urlParams = new URLSearchParams(window.location.search);
   const isLoading = urlParams.get("loading") === "true";
+  const scanId = urlParams.get("scan");
+  const compareId = urlParams.get("compare");
+  const importId = urlParams.get("import");
 
   // Set up listener for messages from background script
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -55,6 +89,34 @@ document.addEventListener("DOMContentLoaded", () => {
       return true;
     }
 
+    if (message.action === "scanProgress" && message.progress) {
+      updateLoadingStatus(formatScanProgress(message.progress));
+      sendResponse({ status: "ack" });
+      return true;
+    }
+
+    if (["scanStart", "scanChunk", "scanEnd"].includes(message.action)) {
+      handleTransferMessage(message);
+      sendResponse({ status: "ack" });
+      return true;
+    }
+
+    if (message.action === "domDataPatch" && message.patch) {
+      applyLivePatch(message.patch);
+      sendResponse({ status: "applied" });
+      return true;
+    }
+
+    // Another viewer took over live updates from the page, or it was closed
+    if (message.action === "liveScanStopped") {
+      const checkbox = document.getElementById('toggle-live');
+      if (checkbox) {
+        checkbox.checked = false;
+      }
+      sendResponse({ status: "ack" });
+      return true;
+    }
+
     if (message.action === "scanError") {
       console.error("3DOM Viewer: Error during scanning:", message.error);
       updateLoadingStatus(`Error: ${message.error}. Please try again.`, true);
@@ -63,21 +125,66 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
-  // If not loading mode, request data immediately
-  if (!isLoading) {
-    requestDOMData();
-  } else {
-    updateLoadingStatus("Waiting for page scan to complete...");
-  }
+  // Settings shape the city, so they are read before any data is requested
+  loadSettings().then((settings) => {
+    applyViewerSettings(settings);
+
+    // Scan settings can be changed before the data arrives
+    setupScanSettings(settings);
+    setupHeightControls(settings);
+
+    // Request data right away; while a scan is still running the background
+    // answers "pending" and streams the data as it arrives
+    if (isLoading) {
+      updateLoadingStatus("Waiting for page scan to complete...");
+    }
+
+    // Comparisons are always between saved scans (see diff.js)
+    if (scanId && compareId) {
+      loadScanComparison(compareId, scanId);
+    } else if (importId) {
+      // A scan file imported in another viewer (see scan-file.js)
+      loadHandedOverImport(importId);
+    } else {
+      requestDOMData(isLoading, scanId);
+    }
+  });
 });
 
+// Apply the render settings from the options page
+function applyViewerSettings(settings) {
+  minCameraHeight = settings.minCameraHeight;
+  maxCameraHeight = settings.maxCameraHeight;
+  setElementSettings(settings);
+
+  // Categories hidden by default start unchecked; setupVisibilityControls
+  // hides their elements once the city is built
+  Object.keys(VISIBILITY_FILTERS).forEach(checkboxId => {
+    const checkbox = document.getElementById(checkboxId);
+    if (checkbox) {
+      checkbox.checked = !settings.hiddenCategories.includes(checkboxId);
+    }
+  });
+}
+
 // Function to request DOM data from background script
-function requestDOMData() {
+function requestDOMData(isLoading, scanId) {
   // Get DOM data from background script
-  chrome.runtime.sendMessage({ action: "requestDOMData" }, function (response) {
-    if (response && response.status === "success" && response.data) {
+  chrome.runtime.sendMessage({ action: "requestDOMData", scanId }, function (response) {
+    if (response && response.status === "stored") {
+      loadStoredScan(response.scanId);
+    } else if (response && response.status === "success" && response.data) {
       console.log("3DOM Viewer: DOM data received via request");
-      processReceivedData(response.data);
+      if (response.complete) {
+        processReceivedData(response.data);
+      } else {
+        // Part of the scan has arrived; the remaining chunks follow
+        startStreamedScan(response.data, response.seq);
+      }
+      drainPendingTransferMessages();
+    } else if (isLoading || (response && response.status === "pending")) {
+      console.log("3DOM Viewer: Waiting for scan data to stream in");
+      drainPendingTransferMessages();
     } else {
       console.error("3DOM Viewer: No DOM data found in background script");
       updateLoadingStatus(
@@ -88,26 +195,278 @@ function requestDOMData() {
   });
 }
 
+// Load a saved scan from the scan store (see scan-store.js)
+function loadStoredScan(scanId) {
+  updateLoadingStatus("Loading saved scan...");
+  loadScan(scanId)
+    .then(domData => {
+      if (!domData) {
+        updateLoadingStatus(
+          "Error: This scan is no longer stored. Please scan the page again.",
+          true
+        );
+        return;
+      }
+      viewingStoredScan = true;
+      processReceivedData(domData);
+    })
+    .catch(error => {
+      console.error("3DOM Viewer: Could not load the saved scan:", error);
+      updateLoadingStatus("Error: Could not load the saved scan.", true);
+    });
+}
+
 // Process the received DOM data
 function processReceivedData(domData) {
   updateLoadingStatus("Processing DOM data...");
 
+  startCityView(domData);
+
+  updateLoadingStatus("Creating element shapes...");
+
+  // Create element shapes
+  addCityElements(domData.elements);
+
+  // Log scene info for debugging
+  console.log('3DOM Core: Scene initialized with', domElements.length, 'elements');
+  console.log('3DOM Core: Camera at height:', camera.position.y, 'viewSize:', 400);
+
+  finishCityView(domData);
+}
+
+// Set up the scene, ground, camera and controls (elements are added separately)
+function startCityView(domData) {
+  currentDomData = domData;
+
   // Initialize scene first
   initScene();
 
   updateLoadingStatus("Building city environment...");
 
-  // Initialize city (ground and districts)
+  // Initialize city (ground and frame annexes)
   initCityScene(domData);
 
-  updateLoadingStatus("Creating element shapes...");
+  updateLoadingStatus("Setting up controls...");
 
-  // Create element shapes
-  domElements = createCityElements(domData);
+  positionCameraForPage(domData);
 
-  updateLoadingStatus("Setting up controls...");
+  // Set up animation
+  animate();
 
-  // Position camera based on user's scroll position
+  // Display zoom level
+  updateZoomDisplay(camera.position.y);
+
+  // Setup visibility controls
+  setupVisibilityControls();
+
+  // Add a toggle for each frame annex
+  setupFrameControls(domData.frames || []);
+
+  // Enable the live updates toggle now that there is a scene to patch
+  setupLiveControls();
+}
+
+// Add districts and buildings for a batch of elements
+function addCityElements(elements) {
+  addCityDistricts(elements);
+  const scrollContainers = elements.filter(element => element.scrollContainer);
+  scrollContainers.forEach(registerScrollContainer);
+
+  const created = createCityElements({ elements });
+  created.forEach(applyVisibilityFilters);
+  domElements = domElements.concat(created);
+
+  // New elements can shift everyone's stacking layer
+  refreshBuildingHeights();
+  updateSkyLayerVisibility();
+
+  scrollContainers.forEach(addScrollContainerControl);
+}
+
+// Recompute stacking layers for the rendered elements and resize their
+// buildings, animated over duration ms if given
+function refreshBuildingHeights(duration = 0) {
+  const elements = domElements.map(element3D => element3D.userData.domElement);
+  assignStackingLayers(elements);
+  rankHeightValues(elements);
+  updateBuildingHeights(domElements, duration);
+
+  // Scroll towers stand on top of their container's building
+  refreshScrollTowers();
+
+  // Ghosts of removed elements follow the height source too
+  refreshDiffGhosts();
+
+  // So does an open select bridge; raise it again at the new height
+  if (selectBridge) {
+    const element = selectBridge.element;
+    closeSelectBridge();
+    openSelectBridge(element);
+  }
+}
+
+// Show the info panel and remove the loading screen
+function finishCityView(domData) {
+  // Add website info panel
+  addWebsiteInfoPanel(domData);
+
+  // Point the URL at the stored scan, so reloads and bookmarks load it again
+  // (along with the scan it is compared with, if any)
+  if (domData.scanId) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete("loading");
+    params.delete("import");
+    params.set("scan", domData.scanId);
+    history.replaceState(null, "", `viewer.html?${params}`);
+  }
+
+  enableScanExport();
+
+  // Remove loading screen
+  updateLoadingStatus("Ready!");
+  setTimeout(() => {
+    const loadingEl = document.querySelector(".loading");
+    if (loadingEl) loadingEl.style.display = "none";
+  }, 500);
+}
+
+// Handle a chunked transfer message, or hold it until our data request returns
+function handleTransferMessage(message) {
+  if (message.action === "scanStart") {
+    startStreamedScan({ ...message.header, elements: [] }, null, message.totalChunks);
+    return;
+  }
+
+  if (!transferState) {
+    pendingTransferMessages.push(message);
+    return;
+  }
+
+  if (message.action === "scanChunk") {
+    // Already included in the data we were handed
+    if (transferState.lastSeq !== null && message.seq <= transferState.lastSeq) {
+      return;
+    }
+    transferState.lastSeq = message.seq;
+
+    if (message.kind === "elements") {
+      message.elements.forEach(element => {
+        transferState.domData.elements.push(element);
+        transferState.elementsByNodeId.set(element.nodeId, element);
+      });
+      addCityElements(message.elements);
+    } else if (message.kind === "images") {
+      applyImagePayloads(transferState.elementsByNodeId, message.images);
+    }
+
+    updateTransferStatus();
+    return;
+  }
+
+  if (message.action === "scanEnd") {
+    finishStreamedScan();
+  }
+}
+
+function drainPendingTransferMessages() {
+  const messages = pendingTransferMessages;
+  pendingTransferMessages = [];
+  messages.forEach(handleTransferMessage);
+}
+
+// Start drawing a scan whose chunks are still arriving. lastSeq is the last
+// chunk already included in domData (null if none).
+function startStreamedScan(domData, lastSeq, totalChunks) {
+  if (transferState) {
+    return;
+  }
+  console.log('3DOM Viewer: Streaming scan data...');
+
+  transferState = {
+    domData,
+    elementsByNodeId: new Map(),
+    lastSeq: lastSeq === undefined ? null : lastSeq,
+    totalChunks: totalChunks || null,
+  };
+  domData.elements.forEach(element => {
+    transferState.elementsByNodeId.set(element.nodeId, element);
+  });
+
+  startCityView(domData);
+  addCityElements(domData.elements);
+
+  // Let buildings show up as they arrive
+  const loadingEl = document.querySelector(".loading");
+  if (loadingEl) loadingEl.style.display = "none";
+  updateTransferStatus();
+}
+
+function finishStreamedScan() {
+  console.log('3DOM Viewer: Scan transfer complete with', domElements.length, 'elements');
+  const domData = transferState.domData;
+
+  if (transferStatusElement) {
+    transferStatusElement.remove();
+    transferStatusElement = null;
+  }
+
+  finishCityView(domData);
+}
+
+// Describe pre-scan progress for the loading screen
+function formatScanProgress(progress) {
+  if (progress.phase === 'autoScroll') {
+    const seconds = Math.round(progress.elapsed / 1000);
+    const maxSeconds = Math.round(progress.maxTime / 1000);
+    return `Scrolling page to load lazy content: step ${progress.step}/${progress.maxSteps} (${seconds}s of ${maxSeconds}s)`;
+  }
+  if (progress.phase === 'images') {
+    const failed = progress.failed ? `, ${progress.failed} failed` : '';
+    return `Loading images: ${progress.done}/${progress.total}${failed}`;
+  }
+  return 'Scanning page...';
+}
+
+// Show transfer progress while chunks stream in
+function updateTransferStatus() {
+  if (!transferStatusElement) {
+    transferStatusElement = document.createElement('div');
+    transferStatusElement.id = 'transfer-status';
+    transferStatusElement.style.position = 'fixed';
+    transferStatusElement.style.bottom = '10px';
+    transferStatusElement.style.left = '10px';
+    transferStatusElement.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    transferStatusElement.style.color = 'white';
+    transferStatusElement.style.padding = '5px 10px';
+    transferStatusElement.style.borderRadius = '5px';
+    transferStatusElement.style.fontFamily = 'Arial, sans-serif';
+    transferStatusElement.style.zIndex = '1000';
+    transferStatusElement.style.fontSize = '12px';
+    document.body.appendChild(transferStatusElement);
+  }
+
+  const received = transferState.lastSeq === null ? 0 : transferState.lastSeq + 1;
+  const total = transferState.totalChunks ? `/${transferState.totalChunks}` : '';
+  transferStatusElement.textContent =
+    `Receiving scan: chunk ${received}${total}, ${transferState.domData.elements.length} elements`;
+}
+
+// Merge streamed image payloads into the element data they belong to
+function applyImagePayloads(elementsByNodeId, images) {
+  images.forEach(image => {
+    const element = elementsByNodeId.get(image.nodeId);
+    const target = element && (image.target === 'imageData'
+      ? element.imageData
+      : element.articleData && element.articleData.image);
+    if (target) {
+      target.src = image.src;
+      delete target.pendingImage;
+    }
+  });
+}
+
+// Position camera based on user's scroll position
+function positionCameraForPage(domData) {
   if (domData.pageMetrics && window.cityData) {
     const scrollX = domData.pageMetrics.scrollX || 0;
     const scrollY = domData.pageMetrics.scrollY || 0;
@@ -117,44 +476,27 @@ function processReceivedData(domData) {
     const pageWidth = domData.pageMetrics.width;
     const pageHeight = domData.pageMetrics.height;
 
-    // Calculate center of viewport in page coordinates
-    const viewportCenterX = scrollX + (window.innerWidth / 2);
-    const viewportCenterY = scrollY + (window.innerHeight / 2);
+    // Calculate center of viewport in page coordinates (or of the scanned
+    // subtree, for subtree scans)
+    const scanRoot = domData.scanRoot;
+    const viewportCenterX = scanRoot
+      ? scanRoot.position.x + scanRoot.dimensions.width / 2
+      : scrollX + (window.innerWidth / 2);
+    const viewportCenterY = scanRoot
+      ? scanRoot.position.y + scanRoot.dimensions.height / 2
+      : scrollY + (window.innerHeight / 2);
 
     // Convert to 3D scene coordinates
     const sceneCenterX = (viewportCenterX * scale) - (pageWidth * scale) / 2;
     const sceneCenterZ = (viewportCenterY * scale) - (pageHeight * scale) / 2;
 
     // Position camera directly above the scroll position for top-down view
-    const cameraHeight = 400; // Height above the scene
+    const cameraHeight = Math.min(Math.max(400, minCameraHeight), maxCameraHeight); // Height above the scene
     camera.position.set(sceneCenterX, cameraHeight, sceneCenterZ);
     camera.lookAt(sceneCenterX, 0, sceneCenterZ);
 
     console.log('3DOM Core: Positioned camera at scroll position:', {scrollX, scrollY, sceneCenterX, sceneCenterZ, cameraHeight});
   }
-
-  // Set up animation
-  animate();
-
-  // Display zoom level
-  updateZoomDisplay(camera.position.y);
-
-  // Log scene info for debugging
-  console.log('3DOM Core: Scene initialized with', domElements.length, 'elements');
-  console.log('3DOM Core: Camera at height:', camera.position.y, 'viewSize:', 400);
-
-  // Add website info panel
-  addWebsiteInfoPanel(domData);
-
-  // Setup visibility controls
-  setupVisibilityControls();
-
-  // Remove loading screen
-  updateLoadingStatus("Ready!");
-  setTimeout(() => {
-    const loadingEl = document.querySelector(".loading");
-    if (loadingEl) loadingEl.style.display = "none";
-  }, 500);
 }
 
 // Update loading status
@@ -206,28 +548,16 @@ function initScene() {
   });
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
-  renderer.shadowMap.enabled = true; // Enable shadows for 3D depth
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
   document.getElementById('viewer-container').appendChild(renderer.domElement);
 
-  // Enhanced lighting for 3D perspective with shadows
-  const ambientLight = new THREE.AmbientLight(0xffffff, 0.4); // Reduced for better shadows
+  // Lighting for 3D perspective. Nothing casts shadows: a shadow map of
+  // thousands of instanced buildings costs a second render of the city each
+  // frame.
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
   scene.add(ambientLight);
 
   const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
   directionalLight.position.set(500, 1000, 500); // Angled from above
-  directionalLight.castShadow = true;
-
-  // Shadow camera settings for better quality
-  directionalLight.shadow.camera.left = -1000;
-  directionalLight.shadow.camera.right = 1000;
-  directionalLight.shadow.camera.top = 1000;
-  directionalLight.shadow.camera.bottom = -1000;
-  directionalLight.shadow.camera.near = 0.1;
-  directionalLight.shadow.camera.far = 3000;
-  directionalLight.shadow.mapSize.width = 2048;
-  directionalLight.shadow.mapSize.height = 2048;
-
   scene.add(directionalLight);
 
   // Add a second fill light for better illumination
@@ -317,7 +647,7 @@ function setupPanZoomControls() {
     const delta = event.deltaY > 0 ? zoomSpeed : -zoomSpeed;
 
     // Clamp camera height between min and max
-    const newHeight = Math.max(MIN_CAMERA_HEIGHT, Math.min(MAX_CAMERA_HEIGHT, camera.position.y + delta));
+    const newHeight = Math.max(minCameraHeight, Math.min(maxCameraHeight, camera.position.y + delta));
     camera.position.y = newHeight;
 
     // Update zoom level display
@@ -385,10 +715,10 @@ function setupKeyboardControls() {
 
     // Space to fly up, Shift to fly down
     if (keysPressed[' ']) {
-      camera.position.y = Math.min(camera.position.y + moveSpeed, MAX_CAMERA_HEIGHT);
+      camera.position.y = Math.min(camera.position.y + moveSpeed, maxCameraHeight);
     }
     if (keysPressed['shift']) {
-      camera.position.y = Math.max(camera.position.y - moveSpeed, MIN_CAMERA_HEIGHT);
+      camera.position.y = Math.max(camera.position.y - moveSpeed, minCameraHeight);
     }
   }
 
@@ -414,7 +744,7 @@ function updateZoomDisplay(height) {
     document.body.appendChild(zoomDisplayElement);
   }
 
-  const zoomPercent = Math.round((MAX_CAMERA_HEIGHT - height) / (MAX_CAMERA_HEIGHT - MIN_CAMERA_HEIGHT) * 100);
+  const zoomPercent = Math.round((maxCameraHeight - height) / (maxCameraHeight - minCameraHeight) * 100);
   zoomDisplayElement.textContent = `Zoom: ${zoomPercent}%`;
 }
 
@@ -427,6 +757,9 @@ function animate() {
     window.applyKeyboardMovement();
   }
 
+  updateImageRoofs();
+  updateBuildingLabels();
+  updateBuildingBatches();
   renderer.render(scene, camera);
 }
 
@@ -449,11 +782,13 @@ function addWebsiteInfoPanel(domData) {
 
   // Add website info
   infoPanel.innerHTML = `
-    <h3 style="margin: 0 0 5px 0;">${
+    <h3 style="margin: 0 0 5px 0;">${escapeHtml(
       domData.pageMetrics.title || "Website"
-    }</h3>
-    <p style="margin: 0 0 5px 0;">${domData.pageMetrics.url || ""}</p>
+    )}</h3>
+    <p style="margin: 0 0 5px 0;">${escapeHtml(domData.pageMetrics.url || "")}</p>
     <p style="margin: 0;">Elements: ${domData.elements.length}</p>
+    ${formatDroppedSummary(domData)}
+    ${formatImageSummary(domData)}
     <p style="margin: 5px 0 0 0; font-size: 10px;">
       Click + Drag: Pan view<br>
       Mouse Wheel: Zoom in/out<br>
@@ -461,9 +796,119 @@ function addWebsiteInfoPanel(domData) {
     </p>
   `;
 
+  // Subtree scans name the element they started from
+  if (domData.scanRoot) {
+    const scanRoot = document.createElement('p');
+    scanRoot.style.margin = '5px 0 0 0';
+    scanRoot.style.color = '#4a9eff';
+    scanRoot.style.wordBreak = 'break-all';
+    scanRoot.textContent = `Scanned subtree: ${domData.scanRoot.selectorPath}`;
+    infoPanel.insertBefore(scanRoot, infoPanel.querySelector('h3').nextSibling);
+  }
+
   document.body.appendChild(infoPanel);
 }
 
+// Describe how the page's images were loaded
+function formatImageSummary(domData) {
+  const stats = domData.imageStats;
+  if (!stats) {
+    return '';
+  }
+
+  const counts = Object.keys(IMAGE_STATUS_LABELS)
+    .filter(status => stats[status] > 0)
+    .map(status => `${stats[status]} ${IMAGE_STATUS_LABELS[status]}`)
+    .join(', ');
+  if (!counts) {
+    return '';
+  }
+  const color = stats.failed ? ' color: #f1c40f;' : '';
+
+  return `<p style="margin: 5px 0 0 0;${color}">Images: ${counts}</p>`;
+}
+
+// Describe how many elements were dropped during the scan, and why
+function formatDroppedSummary(domData) {
+  const dropped = domData.dropped;
+  if (!dropped || !dropped.total) {
+    return '';
+  }
+
+  const reasons = Object.keys(DROP_REASON_LABELS)
+    .filter(reason => dropped[reason] > 0)
+    .map(reason => `${dropped[reason]} ${DROP_REASON_LABELS[reason]}`)
+    .join(', ');
+  const budget = domData.budget && domData.budget.limit
+    ? ` (budget ${domData.budget.limit})`
+    : '';
+
+  return `<p style="margin: 5px 0 0 0; color: #f1c40f;">Dropped: ${dropped.total}${budget}<br>${reasons}</p>`;
+}
+
+// Show the scan settings in the controls panel, and persist changes
+function setupScanSettings(settings) {
+  const budgetSelect = document.getElementById('element-budget');
+  if (!budgetSelect) {
+    return;
+  }
+
+  const value = String(settings.elementBudget);
+  // Keep custom values selectable
+  if (!Array.from(budgetSelect.options).some(option => option.value === value)) {
+    budgetSelect.add(new Option(value, value));
+  }
+  budgetSelect.value = value;
+
+  budgetSelect.addEventListener('change', () => {
+    const elementBudget = parseInt(budgetSelect.value, 10) || 0;
+    chrome.storage.sync.set({ elementBudget }, () => {
+      console.log('3DOM Core: Element budget set to', elementBudget || 'no limit');
+    });
+  });
+
+  const autoScrollCheckbox = document.getElementById('auto-scroll');
+  const autoScrollSelector = document.getElementById('auto-scroll-selector');
+  if (!autoScrollCheckbox || !autoScrollSelector) {
+    return;
+  }
+
+  autoScrollCheckbox.checked = settings.autoScroll;
+  autoScrollSelector.value = settings.autoScrollSelector;
+
+  autoScrollCheckbox.addEventListener('change', () => {
+    chrome.storage.sync.set({ autoScroll: autoScrollCheckbox.checked });
+  });
+  autoScrollSelector.addEventListener('change', () => {
+    chrome.storage.sync.set({ autoScrollSelector: autoScrollSelector.value.trim() });
+  });
+}
+
+// Show the height source and scale in the controls panel, and persist changes
+function setupHeightControls(settings) {
+  const sourceSelect = document.getElementById('height-source');
+  const scaleSelect = document.getElementById('height-scale');
+  if (!sourceSelect || !scaleSelect) {
+    return;
+  }
+
+  sourceSelect.value = settings.heightSource;
+  setHeightSource(settings.heightSource);
+  scaleSelect.value = settings.heightScale;
+  setHeightScale(settings.heightScale);
+
+  sourceSelect.addEventListener('change', () => {
+    setHeightSource(sourceSelect.value);
+    refreshBuildingHeights(HEIGHT_TRANSITION_DURATION);
+    chrome.storage.sync.set({ heightSource: sourceSelect.value });
+  });
+  scaleSelect.addEventListener('change', () => {
+    setHeightScale(scaleSelect.value);
+    refreshBuildingHeights(HEIGHT_TRANSITION_DURATION);
+    chrome.storage.sync.set({ heightScale: scaleSelect.value });
+  });
+}
+
 // Set up click and hover handlers for raycasting
 function setupClickHandler() {
   // Prevent duplicate initialization
@@ -489,42 +934,35 @@ function setupClickHandler() {
     // Update raycaster
     raycaster.setFromCamera(mouse, camera);
 
-    // Check intersections with domElements (filter out invalid objects)
-    if (domElements && domElements.length > 0) {
-      const validElements = domElements.filter(el => el && el.geometry && el.material && el.visible);
-      if (validElements.length > 0) {
-        const intersects = raycaster.intersectObjects(validElements, true);
-
-        if (intersects.length > 0) {
-          const clickedObject = intersects[0].object;
-          handleElementClick(clickedObject);
-        }
-      }
+    // Buildings are picked through their batches' instances
+    const building = pickBuilding(raycaster);
+    if (building) {
+      handleElementClick(building);
     }
   });
 
-  // Hover detection
+  // Hover detection, at most every HOVER_PICK_INTERVAL as the pointer moves
+  let hoverPickTimer = null;
   canvas.addEventListener('mousemove', (event) => {
     mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
-    raycaster.setFromCamera(mouse, camera);
-
-    if (domElements && domElements.length > 0) {
-      const validElements = domElements.filter(el => el && el.geometry && el.material && el.visible);
-      if (validElements.length > 0) {
-        const intersects = raycaster.intersectObjects(validElements, true);
-
-        if (intersects.length > 0) {
-          const object = intersects[0].object;
-          handleElementHover(object);
-          canvas.style.cursor = 'pointer';
-        } else {
-          clearHoverEffects();
-          canvas.style.cursor = 'default';
-        }
-      }
+    if (hoverPickTimer) {
+      return;
     }
+    hoverPickTimer = setTimeout(() => {
+      hoverPickTimer = null;
+      raycaster.setFromCamera(mouse, camera);
+
+      const building = pickBuilding(raycaster);
+      if (building) {
+        handleElementHover(building);
+        canvas.style.cursor = 'pointer';
+      } else {
+        clearHoverEffects();
+        canvas.style.cursor = 'default';
+      }
+    }, HOVER_PICK_INTERVAL);
   });
 }
 
@@ -541,6 +979,11 @@ function handleElementClick(object) {
     console.log('3DOM Core: Clicked element', domElement);
 
     // Handle different element types
+    // Scroll containers unfold (or fold) their content next to the city
+    if (domElement.scrollContainer) {
+      toggleScrollContainer(domElement.scrollContainer.id);
+    }
+
     switch (domElement.tagName) {
       case 'A':
         handleLinkClick(element, domElement);
@@ -553,12 +996,101 @@ function handleElementClick(object) {
         handleInputClick(element);
         break;
       case 'SELECT':
-        handleSelectClick(element, domElement);
+        handleSelectClick(element);
         break;
       default:
         console.log('3DOM Core: Non-interactive element clicked');
     }
+
+    showElementDetails(domElement);
+  }
+}
+
+// Show an element's details in the info panel, with a breadcrumb of its
+// rendered ancestors rebuilt from the scan's parent/child links
+function showElementDetails(domElement) {
+  const panel = document.querySelector('.info-panel');
+  const details = document.getElementById('element-details');
+  if (!panel || !details) return;
+
+  const tree = buildElementTree(
+    domElements.map(element3D => element3D.userData.domElement).filter(Boolean)
+  );
+  const ancestry = getElementAncestry(tree, domElement.nodeId);
+
+  details.innerHTML = '';
+
+  const breadcrumb = document.createElement('div');
+  breadcrumb.className = 'element-breadcrumb';
+  ancestry.forEach((element, index) => {
+    if (index > 0) {
+      breadcrumb.append(' \u203a ');
+    }
+    const isCurrent = index === ancestry.length - 1;
+    const crumb = document.createElement(isCurrent ? 'strong' : 'a');
+    crumb.textContent = describeElement(element);
+    if (!isCurrent) {
+      crumb.href = '#';
+      crumb.addEventListener('click', (event) => {
+        event.preventDefault();
+        selectElementByNodeId(element.nodeId);
+      });
+    }
+    breadcrumb.appendChild(crumb);
+  });
+  details.appendChild(breadcrumb);
+
+  const node = tree.nodesById.get(domElement.nodeId);
+  const imageStatus = domElement.imageData && domElement.imageData.proxyStatus;
+  const rows = [
+    ['Type', domElement.type],
+    ['Children', node ? node.children.length : 0],
+    ['Selector', domElement.selectorPath],
+    ['Image', IMAGE_STATUS_LABELS[imageStatus] || imageStatus],
+    ['Change', describeElementChange(domElement)],
+    ...getFormStateRows(domElement.formState),
+  ];
+  rows.forEach(([label, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    const row = document.createElement('p');
+    row.textContent = `${label}: ${value}`;
+    details.appendChild(row);
+  });
+
+  panel.style.display = 'block';
+}
+
+// Detail rows describing a form control's captured state
+function getFormStateRows(formState) {
+  if (!formState) return [];
+
+  const flags = ['disabled', 'required', 'multiple', 'masked']
+    .filter(flag => formState[flag]);
+  const rows = [
+    ['Control', formState.control],
+    ['Name', formState.name],
+    ['Value', formState.value],
+    ['Placeholder', formState.placeholder],
+    ['Checked', 'checked' in formState ? (formState.checked ? 'yes' : 'no') : null],
+    ['Flags', flags.join(', ')],
+  ];
+  if (formState.options) {
+    const selected = formState.options.filter(option => option.selected);
+    rows.push(['Options', formState.optionCount]);
+    rows.push(['Selected', selected.map(option => option.label).join(', ')]);
   }
+  return rows;
+}
+
+// Highlight a rendered element by node ID and show its details
+function selectElementByNodeId(nodeId) {
+  const element3D = domElements.find(
+    el => el.userData.domElement && el.userData.domElement.nodeId === nodeId
+  );
+  if (!element3D) return;
+
+  animatePulse(element3D);
+  showElementDetails(element3D.userData.domElement);
 }
 
 // Handle link click
@@ -587,13 +1119,33 @@ function handleInputClick(element) {
   focusedInput = element;
 }
 
-// Handle select click
-function handleSelectClick(_element, domElement) {
+// Handle select click: raise its floating bridge of options, or lower it if
+// it is already up. Only one bridge is open at a time.
+function handleSelectClick(element) {
   console.log('3DOM Core: Select clicked');
-  // Placeholder for future floating bridge implementation
-  // For now, just log the options
-  if (domElement.options) {
-    console.log('3DOM Core: Select has', domElement.options.length, 'options');
+  const wasOpen = selectBridge && selectBridge.element === element;
+  closeSelectBridge();
+  if (!wasOpen) {
+    openSelectBridge(element);
+  }
+}
+
+// Raise the floating bridge over a select building
+function openSelectBridge(element) {
+  const bridge = createSelectBridge(element);
+  if (!bridge) {
+    console.log('3DOM Core: Select has no captured options');
+    return;
+  }
+  scene.add(bridge);
+  selectBridge = { element, bridge };
+}
+
+// Remove the open floating bridge, if any
+function closeSelectBridge() {
+  if (selectBridge) {
+    removeCityElement(selectBridge.bridge);
+    selectBridge = null;
   }
 }
 
@@ -622,11 +1174,13 @@ function animatePulse(element) {
         // Pulse: go up then down (sine wave)
         const intensity = Math.sin(progress * Math.PI) * PULSE_MAX_INTENSITY;
         child.material.emissiveIntensity = originalIntensity + intensity;
+        markBuildingDirty(child);
 
         if (progress < 1) {
           child.userData.animationId = requestAnimationFrame(animate);
         } else {
           child.material.emissiveIntensity = originalIntensity;
+          markBuildingDirty(child);
           child.userData.isAnimating = false;
           if (child.userData.animationId) {
             delete child.userData.animationId;
@@ -663,11 +1217,13 @@ function animateGlow(element, duration) {
         // Fade from GLOW_MAX_INTENSITY to original
         const intensity = GLOW_MAX_INTENSITY * (1 - progress) + originalIntensity * progress;
         child.material.emissiveIntensity = intensity;
+        markBuildingDirty(child);
 
         if (progress < 1) {
           child.userData.animationId = requestAnimationFrame(animate);
         } else {
           child.material.emissiveIntensity = originalIntensity;
+          markBuildingDirty(child);
           child.userData.isAnimating = false;
           if (child.userData.animationId) {
             delete child.userData.animationId;
@@ -689,6 +1245,7 @@ function applyInputFocus(element) {
       child.userData.originalEmissiveColor = child.material.emissive.clone();
       child.material.emissiveIntensity = INPUT_FOCUS_INTENSITY;
       child.material.emissive.setHex(INPUT_FOCUS_COLOR);
+      markBuildingDirty(child);
     }
   });
 }
@@ -705,6 +1262,7 @@ function clearInputFocus(element) {
         child.material.emissive.setHex(0x000000); // Reset to black
       }
       delete child.userData.inputFocused;
+      markBuildingDirty(child);
       delete child.userData.originalEmissiveIntensity;
       delete child.userData.originalEmissiveColor;
     }
@@ -735,6 +1293,7 @@ function handleElementHover(object) {
           child.userData.originalTransparent = child.material.transparent;
           child.material.transparent = true;
           child.material.opacity = Math.min(1.0, child.material.opacity + HOVER_OPACITY_INCREASE);
+          markBuildingDirty(child);
         }
       });
     } else if (!isInteractive) {
@@ -751,6 +1310,7 @@ function clearHoverEffects() {
       if (child.material && child.userData.originalOpacity !== undefined) {
         child.material.opacity = child.userData.originalOpacity;
         delete child.userData.originalOpacity;
+        markBuildingDirty(child);
       }
       if (child.material && child.userData.originalTransparent !== undefined) {
         child.material.transparent = child.userData.originalTransparent;
@@ -776,6 +1336,47 @@ function classifyDIV(el) {
   };
 }
 
+// Map checkbox IDs to element type filters
+const VISIBILITY_FILTERS = {
+  'toggle-headers': (el) => ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'].includes(el.tagName),
+  'toggle-images': (el) => el.tagName === 'IMG',
+  'toggle-text': (el) => {
+    if (el.tagName === 'DIV') {
+      return classifyDIV(el).isTextDiv;
+    }
+    return ['P', 'SPAN'].includes(el.tagName);
+  },
+  'toggle-links': (el) => el.tagName === 'A',
+  'toggle-buttons': (el) => el.tagName === 'BUTTON',
+  'toggle-forms': (el) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName),
+  'toggle-containers': (el) => {
+    if (el.tagName === 'DIV') {
+      return classifyDIV(el).isContainerDiv;
+    }
+    return ['SECTION', 'ARTICLE'].includes(el.tagName);
+  },
+  'toggle-navigation': (el) => {
+    if (el.tagName === 'NAV') return true;
+    if (el.classList && (
+      el.classList.contains('nav') ||
+      el.classList.contains('navigation') ||
+      el.classList.contains('navbar') ||
+      el.classList.contains('menu')
+    )) return true;
+    return false;
+  },
+  // Elements rendered inside a web component's open shadow root
+  'toggle-shadow': (el) => Boolean(el.shadowHost),
+  // Elements pinned to the viewport (drawn on the sky layer) or sticky
+  'toggle-fixed': (el) => Boolean(el.positioning && el.positioning.mode === 'fixed'),
+  'toggle-sticky': (el) => Boolean(el.positioning && el.positioning.mode === 'sticky'),
+  'toggle-other': (el) => {
+    // All other element types not covered above
+    const coveredTags = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'IMG', 'P', 'SPAN', 'A', 'BUTTON', 'INPUT', 'TEXTAREA', 'SELECT', 'DIV', 'SECTION', 'ARTICLE', 'NAV'];
+    return !coveredTags.includes(el.tagName);
+  }
+};
+
 // Visibility control management
 function setupVisibilityControls(retryCount = 0) {
   const MAX_RETRIES = 50; // 5 seconds max
@@ -796,61 +1397,106 @@ function setupVisibilityControls(retryCount = 0) {
     return;
   }
 
-  // Map checkbox IDs to element type filters
-  const controlMap = {
-    'toggle-headers': (el) => ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'].includes(el.tagName),
-    'toggle-images': (el) => el.tagName === 'IMG',
-    'toggle-text': (el) => {
-      if (el.tagName === 'DIV') {
-        return classifyDIV(el).isTextDiv;
-      }
-      return ['P', 'SPAN'].includes(el.tagName);
-    },
-    'toggle-links': (el) => el.tagName === 'A',
-    'toggle-buttons': (el) => el.tagName === 'BUTTON',
-    'toggle-forms': (el) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName),
-    'toggle-containers': (el) => {
-      if (el.tagName === 'DIV') {
-        return classifyDIV(el).isContainerDiv;
-      }
-      return ['SECTION', 'ARTICLE'].includes(el.tagName);
-    },
-    'toggle-navigation': (el) => {
-      if (el.tagName === 'NAV') return true;
-      if (el.classList && (
-        el.classList.contains('nav') ||
-        el.classList.contains('navigation') ||
-        el.classList.contains('navbar') ||
-        el.classList.contains('menu')
-      )) return true;
-      return false;
-    },
-    'toggle-other': (el) => {
-      // All other element types not covered above
-      const coveredTags = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'IMG', 'P', 'SPAN', 'A', 'BUTTON', 'INPUT', 'TEXTAREA', 'SELECT', 'DIV', 'SECTION', 'ARTICLE', 'NAV'];
-      return !coveredTags.includes(el.tagName);
-    }
-  };
 
   // Add change listeners to all checkboxes
-  Object.keys(controlMap).forEach(checkboxId => {
+  Object.keys(VISIBILITY_FILTERS).forEach(checkboxId => {
     const checkbox = document.getElementById(checkboxId);
     if (checkbox) {
       checkbox.addEventListener('change', (event) => {
-        updateElementVisibility(checkboxId, event.target.checked, controlMap[checkboxId]);
+        updateElementVisibility(checkboxId, event.target.checked, VISIBILITY_FILTERS[checkboxId]);
       });
     }
   });
 
+  // The sky layer frame is shown along with the fixed elements on it
+  const fixedCheckbox = document.getElementById('toggle-fixed');
+  if (fixedCheckbox) {
+    fixedCheckbox.addEventListener('change', updateSkyLayerVisibility);
+  }
+
   visibilityControlsInitialized = true;
   console.log('3DOM Core: Visibility controls initialized');
 
-  // Hide text and other elements by default (since their checkboxes are unchecked)
-  // This needs to run after controls are initialized
-  setTimeout(() => {
-    updateElementVisibility('toggle-text', false, controlMap['toggle-text']);
-    updateElementVisibility('toggle-other', false, controlMap['toggle-other']);
-  }, 100);
+  // Hide the categories unchecked by default (see applyViewerSettings)
+  Object.keys(VISIBILITY_FILTERS).forEach(checkboxId => {
+    const checkbox = document.getElementById(checkboxId);
+    if (checkbox && !checkbox.checked) {
+      updateElementVisibility(checkboxId, false, VISIBILITY_FILTERS[checkboxId]);
+    }
+  });
+}
+
+// Add an unfold toggle for a scroll container to the controls panel
+function addScrollContainerControl(element) {
+  const controlsContent = document.getElementById('controls-content');
+  const id = element.scrollContainer.id;
+  if (!controlsContent || document.getElementById(`unfold-${id}`)) {
+    return;
+  }
+
+  let list = document.getElementById('scroll-container-list');
+  if (!list) {
+    const section = document.createElement('div');
+    section.className = 'controls-section';
+
+    const title = document.createElement('div');
+    title.className = 'controls-section-title';
+    title.textContent = 'Scroll Containers (unfold)';
+    section.appendChild(title);
+
+    list = document.createElement('div');
+    list.className = 'controls-list';
+    list.id = 'scroll-container-list';
+    section.appendChild(list);
+    controlsContent.appendChild(section);
+  }
+
+  const label = document.createElement('label');
+  label.className = 'control-item';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = `unfold-${id}`;
+  checkbox.addEventListener('change', (event) => {
+    setScrollContainerUnfolded(id, event.target.checked);
+  });
+
+  const text = document.createElement('span');
+  const { scrollWidth, scrollHeight } = element.scrollContainer;
+  text.textContent = `${describeElement(element)} (${scrollWidth}\u00d7${scrollHeight})`;
+  text.title = element.selectorPath || '';
+
+  label.appendChild(checkbox);
+  label.appendChild(text);
+  list.appendChild(label);
+}
+
+function toggleScrollContainer(id) {
+  const state = window.cityData.scrollContainers[id];
+  if (state) {
+    setScrollContainerUnfolded(id, !state.origin);
+  }
+}
+
+// Fold or unfold a scroll container, then move and show/hide the buildings
+// affected
+function setScrollContainerUnfolded(id, unfolded) {
+  if (unfolded) {
+    unfoldScrollContainer(id);
+  } else {
+    foldScrollContainer(id);
+  }
+
+  const checkbox = document.getElementById(`unfold-${id}`);
+  if (checkbox) {
+    checkbox.checked = unfolded;
+  }
+
+  domElements.forEach(element3D => {
+    updateElementPosition(element3D);
+    applyVisibilityFilters(element3D);
+  });
+  refreshScrollTowers();
 }
 
 function updateElementVisibility(controlId, visible, filterFunction) {
@@ -869,8 +1515,10 @@ function updateElementVisibility(controlId, visible, filterFunction) {
     if (domElement) {
       try {
         if (filterFunction(domElement)) {
-          // Set visibility on the 3D object
-          element3D.visible = visible;
+          // Set visibility on the 3D object (content clipped by a folded
+          // scroll container stays hidden)
+          element3D.visible = visible && isScrollContentShown(domElement);
+          markBuildingDirty(element3D);
           count++;
         }
       } catch (error) {
@@ -879,5 +1527,239 @@ function updateElementVisibility(controlId, visible, filterFunction) {
     }
   });
 
+  // A bridge over a hidden select would float over nothing
+  if (selectBridge && !selectBridge.element.visible) {
+    closeSelectBridge();
+  }
+
   console.log(`3DOM Core: ${visible ? 'Showed' : 'Hid'} ${count} elements for ${controlId}`);
 }
+
+// Apply the current checkbox state to a newly created element
+function applyVisibilityFilters(element3D) {
+  const domElement = element3D.userData.domElement;
+  let visible = true;
+
+  Object.keys(VISIBILITY_FILTERS).forEach(checkboxId => {
+    const checkbox = document.getElementById(checkboxId);
+    if (checkbox && !checkbox.checked && VISIBILITY_FILTERS[checkboxId](domElement)) {
+      visible = false;
+    }
+  });
+
+  if (domElement.frameId) {
+    const frameCheckbox = document.getElementById(`toggle-${domElement.frameId}`);
+    if (frameCheckbox && !frameCheckbox.checked) {
+      visible = false;
+    }
+  }
+
+  if (!isScrollContentShown(domElement)) {
+    visible = false;
+  }
+
+  element3D.visible = visible;
+  markBuildingDirty(element3D);
+}
+
+// Show or hide the sky layer frame to match the fixed elements toggle
+function updateSkyLayerVisibility() {
+  const skyLayer = window.cityData && window.cityData.skyLayer;
+  const fixedCheckbox = document.getElementById('toggle-fixed');
+  if (skyLayer && fixedCheckbox) {
+    skyLayer.visible = fixedCheckbox.checked;
+  }
+}
+
+// Add one visibility toggle per frame annex
+function setupFrameControls(frames) {
+  const controlsContent = document.getElementById('controls-content');
+  if (!controlsContent || frames.length === 0) {
+    return;
+  }
+
+  const section = document.createElement('div');
+  section.className = 'controls-section';
+
+  const title = document.createElement('div');
+  title.className = 'controls-section-title';
+  title.textContent = 'Frames';
+  section.appendChild(title);
+
+  const list = document.createElement('div');
+  list.className = 'controls-list';
+  section.appendChild(list);
+
+  frames.forEach(frame => {
+    const label = document.createElement('label');
+    label.className = 'control-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `toggle-${frame.id}`;
+    checkbox.checked = true;
+    checkbox.addEventListener('change', (event) => {
+      updateFrameVisibility(frames, frame.id, event.target.checked);
+    });
+
+    const text = document.createElement('span');
+    const name = frame.title || frame.src || frame.id;
+    text.textContent = frame.crossOrigin ? `${name} (cross-origin)` : name;
+    text.title = frame.src;
+
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    list.appendChild(label);
+  });
+
+  controlsContent.appendChild(section);
+}
+
+// Show or hide a frame annex together with everything scanned inside it
+function updateFrameVisibility(frames, frameId, visible) {
+  // Nested frames belong to their parent's annex
+  const frameIds = new Set([frameId]);
+  let added = true;
+  while (added) {
+    added = false;
+    frames.forEach(frame => {
+      if (frameIds.has(frame.parentFrameId) && !frameIds.has(frame.id)) {
+        frameIds.add(frame.id);
+        added = true;
+      }
+    });
+  }
+
+  const annexes = (window.cityData && window.cityData.frameAnnexes) || {};
+  frameIds.forEach(id => {
+    if (annexes[id]) {
+      annexes[id].visible = visible;
+    }
+  });
+
+  let count = 0;
+  domElements.forEach(element3D => {
+    const domElement = element3D.userData?.domElement;
+    if (domElement && frameIds.has(domElement.frameId)) {
+      element3D.visible = visible && isScrollContentShown(domElement);
+      markBuildingDirty(element3D);
+      count++;
+    }
+  });
+
+  console.log(`3DOM Core: ${visible ? 'Showed' : 'Hid'} frame ${frameId} with ${count} elements`);
+}
+
+// Wire up the live updates toggle
+function setupLiveControls() {
+  const checkbox = document.getElementById('toggle-live');
+  if (!checkbox) {
+    return;
+  }
+
+  if (viewingStoredScan) {
+    checkbox.title = 'Only the latest scan of a page can be watched live';
+    return;
+  }
+
+  checkbox.disabled = false;
+  checkbox.addEventListener('change', () => {
+    const enabled = checkbox.checked;
+    chrome.runtime.sendMessage({ action: 'setLiveScan', enabled }, (response) => {
+      if (!response || response.status === 'error') {
+        console.error('3DOM Core: Could not toggle live updates:', response && response.error);
+        checkbox.checked = false;
+        return;
+      }
+      console.log(`3DOM Core: Live updates ${enabled ? 'enabled' : 'disabled'}`);
+    });
+  });
+}
+
+// Add, update or remove individual buildings from a live scan patch
+function applyLivePatch(patch) {
+  if (!sceneInitialized || !window.cityData) {
+    return;
+  }
+
+  const meshesByNodeId = new Map();
+  domElements.forEach(element3D => {
+    const nodeId = element3D.userData.domElement?.nodeId;
+    if (nodeId) {
+      meshesByNodeId.set(nodeId, element3D);
+    }
+  });
+
+  const removeMesh = (element3D) => {
+    if (hoveredElement === element3D) {
+      hoveredElement = null;
+    }
+    if (focusedInput === element3D) {
+      focusedInput = null;
+    }
+    if (selectBridge && selectBridge.element === element3D) {
+      closeSelectBridge();
+    }
+    removeCityElement(element3D);
+    meshesByNodeId.delete(element3D.userData.domElement.nodeId);
+  };
+
+  patch.removed.forEach(nodeId => {
+    removeCityDistrict(nodeId);
+    const element3D = meshesByNodeId.get(nodeId);
+    if (element3D) {
+      const scrollContainer = element3D.userData.domElement.scrollContainer;
+      if (scrollContainer) {
+        removeScrollContainer(scrollContainer.id);
+        const checkbox = document.getElementById(`unfold-${scrollContainer.id}`);
+        if (checkbox) {
+          checkbox.closest('.control-item').remove();
+        }
+      }
+      removeMesh(element3D);
+    }
+  });
+
+  const addElement = (element) => {
+    if (element.scrollContainer) {
+      registerScrollContainer(element);
+      addScrollContainerControl(element);
+    }
+
+    const element3D = createCityElement(element);
+    if (element3D) {
+      applyVisibilityFilters(element3D);
+      meshesByNodeId.set(element.nodeId, element3D);
+    }
+  };
+
+  patch.added.forEach(element => {
+    const existing = meshesByNodeId.get(element.nodeId);
+    if (existing) {
+      removeMesh(existing);
+    }
+    setCityDistrict(element);
+    addElement(element);
+  });
+
+  // Updated elements are rebuilt, along with their district plane (which
+  // follows a moved or resized container); updates to ones this scene never
+  // drew (left out by the element budget or a filter) are ignored
+  patch.updated.forEach(element => {
+    const existing = meshesByNodeId.get(element.nodeId);
+    if (existing || hasCityDistrict(element.nodeId)) {
+      setCityDistrict(element);
+    }
+    if (existing) {
+      removeMesh(existing);
+      addElement(element);
+    }
+  });
+
+  domElements = Array.from(meshesByNodeId.values());
+  if (currentDomData) {
+    applyDomPatch(currentDomData, patch);
+  }
+  refreshBuildingHeights();
+  console.log(`3DOM Core: Applied live patch (+${patch.added.length} ~${patch.updated.length} -${patch.removed.length})`);
+}
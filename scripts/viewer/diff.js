@@ -0,0 +1,438 @@
+/**
+ * 3DOM - Diff Module
+ * Compares two saved scans of a page and shows what changed in the city
+ */
+
+// Diff statuses, in the order the summary lists them, with their colors
+const DIFF_STATUSES = {
+  added: { label: 'Added', color: 0x2ecc71 },
+  removed: { label: 'Removed', color: 0xe74c3c },
+  moved: { label: 'Moved', color: 0x3498db },
+  resized: { label: 'Resized', color: 0xf39c12 },
+  restyled: { label: 'Restyled', color: 0x9b59b6 },
+  unchanged: { label: 'Unchanged', color: 0x555555 },
+};
+
+// Position and size differences (px) up to this are not changes
+const DIFF_TOLERANCE = 1;
+
+// Most changes listed in the summary (the counts include all of them)
+const MAX_DIFF_LIST_ITEMS = 200;
+
+// Ways to recognise an element in another scan, tried in order. Elements that
+// share a key (the same text in several places) are paired by position.
+const DIFF_IDENTITY_KEYS = [
+  element => element.id ? `${element.frameId || ''}#${element.id}` : null,
+  element => element.selectorPath ? `${element.frameId || ''} ${element.selectorPath}` : null,
+  element => {
+    const text = element.textContent && element.textContent.trim();
+    return text ? `${element.tagName} ${text}` : null;
+  },
+];
+
+// Diff shown in the city (see showScanDiff), and whether its buildings are
+// colored by status
+let scanDiff = null;
+let diffColorsEnabled = false;
+const diffColor = new THREE.Color();
+
+// Open two saved scans and show the newer one with its changes since the
+// older one
+function loadScanComparison(beforeScanId, afterScanId) {
+  updateLoadingStatus("Loading saved scans...");
+  Promise.all([loadScan(beforeScanId), loadScan(afterScanId)])
+    .then(([before, after]) => {
+      if (!before || !after) {
+        updateLoadingStatus(
+          "Error: One of the compared scans is no longer stored.",
+          true
+        );
+        return;
+      }
+
+      updateLoadingStatus("Comparing scans...");
+      const diff = diffScans(before, after);
+      viewingStoredScan = true;
+      processReceivedData(after);
+      showScanDiff(diff, before);
+    })
+    .catch(error => {
+      console.error("3DOM Diff: Could not load the compared scans:", error);
+      updateLoadingStatus("Error: Could not load the compared scans.", true);
+    });
+}
+
+// Compare the elements of two scans. Returns { entries, entriesByNodeId,
+// removed, counts }: entries maps every element of both scans to { status,
+// before, after, changes } (entriesByNodeId the newer scan's by node ID),
+// removed lists the entries of elements only the older scan has, and counts
+// has the number of elements with each status.
+function diffScans(before, after) {
+  const matches = matchScanElements(before.elements, after.elements);
+  const entries = new Map();
+  const counts = {};
+  Object.keys(DIFF_STATUSES).forEach(status => {
+    counts[status] = 0;
+  });
+
+  after.elements.forEach(element => {
+    const previous = matches.get(element);
+    const changes = previous ? getElementChanges(previous, element) : [];
+    const status = previous ? changes[0] || 'unchanged' : 'added';
+    const entry = { status, before: previous || null, after: element, changes };
+    entries.set(element, entry);
+    if (previous) {
+      entries.set(previous, entry);
+    }
+    counts[status]++;
+  });
+
+  const removed = before.elements
+    .filter(element => !entries.has(element))
+    .map(element => {
+      const entry = { status: 'removed', before: element, after: null, changes: [] };
+      entries.set(element, entry);
+      return entry;
+    });
+  counts.removed = removed.length;
+
+  // Buildings rebuilt from patched data hold new element objects
+  const entriesByNodeId = new Map();
+  after.elements.forEach(element => {
+    entriesByNodeId.set(element.nodeId, entries.get(element));
+  });
+
+  return { entries, entriesByNodeId, removed, counts };
+}
+
+// Pair the elements of two scans. Returns a map of newer element -> older one.
+function matchScanElements(beforeElements, afterElements) {
+  const matches = new Map();
+  const matchedBefore = new Set();
+
+  DIFF_IDENTITY_KEYS.forEach(getKey => {
+    const beforeByKey = groupByKey(
+      beforeElements.filter(element => !matchedBefore.has(element)),
+      getKey
+    );
+    const afterByKey = groupByKey(
+      afterElements.filter(element => !matches.has(element)),
+      getKey
+    );
+
+    afterByKey.forEach((elements, key) => {
+      const previous = beforeByKey.get(key);
+      if (previous) {
+        pairNearestElements(previous, elements).forEach(([before, after]) => {
+          matches.set(after, before);
+          matchedBefore.add(before);
+        });
+      }
+    });
+  });
+
+  return matches;
+}
+
+// Group elements by a key, leaving out elements without one
+function groupByKey(elements, getKey) {
+  const groups = new Map();
+  elements.forEach(element => {
+    const key = getKey(element);
+    if (key === null) return;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(element);
+  });
+  return groups;
+}
+
+// Pair elements of the older and newer scan that share a key, closest
+// positions first. Returns [before, after] pairs; leftovers stay unpaired.
+function pairNearestElements(beforeElements, afterElements) {
+  if (beforeElements.length === 1 && afterElements.length === 1) {
+    return [[beforeElements[0], afterElements[0]]];
+  }
+
+  const candidates = [];
+  beforeElements.forEach(before => {
+    const from = getDiffPosition(before);
+    afterElements.forEach(after => {
+      const to = getDiffPosition(after);
+      candidates.push({ before, after, distance: Math.hypot(to.x - from.x, to.y - from.y) });
+    });
+  });
+  candidates.sort((a, b) => a.distance - b.distance);
+
+  const pairs = [];
+  const paired = new Set();
+  candidates.forEach(({ before, after }) => {
+    if (!paired.has(before) && !paired.has(after)) {
+      pairs.push([before, after]);
+      paired.add(before);
+      paired.add(after);
+    }
+  });
+  return pairs;
+}
+
+// List how a matched element changed, in DIFF_STATUSES order
+function getElementChanges(before, after) {
+  const changes = [];
+  const from = getDiffPosition(before);
+  const to = getDiffPosition(after);
+  if (Math.abs(from.x - to.x) > DIFF_TOLERANCE || Math.abs(from.y - to.y) > DIFF_TOLERANCE) {
+    changes.push('moved');
+  }
+  if (Math.abs(before.dimensions.width - after.dimensions.width) > DIFF_TOLERANCE ||
+      Math.abs(before.dimensions.height - after.dimensions.height) > DIFF_TOLERANCE) {
+    changes.push('resized');
+  }
+  if (getChangedStyles(before, after).length > 0) {
+    changes.push('restyled');
+  }
+  return changes;
+}
+
+// Fixed elements are compared by where they sit in the viewport, since their
+// page position depends on how far the page was scrolled
+function getDiffPosition(element) {
+  return isSkyElement(element) ? element.positioning.viewport : element.position;
+}
+
+function getChangedStyles(before, after) {
+  const beforeStyles = before.styles || {};
+  const afterStyles = after.styles || {};
+  const keys = new Set([...Object.keys(beforeStyles), ...Object.keys(afterStyles)]);
+  return Array.from(keys).filter(
+    key => (beforeStyles[key] ?? null) !== (afterStyles[key] ?? null)
+  );
+}
+
+// Show a diff in the city: color buildings by status, outline removed
+// elements as ghosts, and list the changes in the controls panel
+function showScanDiff(diff, before) {
+  scanDiff = diff;
+
+  diff.removed.forEach(entry => {
+    entry.ghost = createDiffGhost(entry.before);
+  });
+  colorDiffBuildings(true);
+  addDiffControls(diff, before);
+}
+
+// Outline where a removed element was
+function createDiffGhost(element) {
+  if (element.frameData || element.dimensions.width < minElementSize ||
+      element.dimensions.height < minElementSize) {
+    return null;
+  }
+
+  const { scale } = window.cityData;
+  const footprint = getElementFootprint(element);
+  const box = new THREE.BoxGeometry(footprint.width * scale, 1, footprint.height * scale);
+  const geometry = new THREE.EdgesGeometry(box);
+  box.dispose();
+
+  const material = new THREE.LineBasicMaterial({
+    color: DIFF_STATUSES.removed.color,
+    transparent: true,
+    opacity: 0.8,
+  });
+  const ghost = new THREE.LineSegments(geometry, material);
+  ghost.userData = { domElement: element, isDiffGhost: true };
+
+  updateElementPosition(ghost);
+  updateElementHeight(ghost);
+  scene.add(ghost);
+  return ghost;
+}
+
+// Move and resize the ghosts along with the buildings (see
+// refreshBuildingHeights)
+function refreshDiffGhosts() {
+  if (!scanDiff) return;
+  scanDiff.removed.forEach(entry => {
+    if (entry.ghost) {
+      updateElementPosition(entry.ghost);
+      updateElementHeight(entry.ghost);
+    }
+  });
+}
+
+// Tint each building with its diff status color, or go back to its own
+// color. The tint is applied when the building is drawn (see
+// getDiffBuildingColor), so buildings keep their own material color and
+// buildings rebuilt later are tinted too.
+function colorDiffBuildings(enabled) {
+  diffColorsEnabled = enabled;
+  domElements.forEach(markBuildingDirty);
+}
+
+// The color a building is tinted with for its diff status, or null
+function getDiffBuildingColor(building) {
+  if (!scanDiff || !diffColorsEnabled) return null;
+  const element = building.userData.domElement;
+  const entry = element &&
+    (scanDiff.entries.get(element) || scanDiff.entriesByNodeId.get(element.nodeId));
+  return entry ? diffColor.setHex(DIFF_STATUSES[entry.status].color) : null;
+}
+
+function setDiffGhostsVisible(visible) {
+  scanDiff.removed.forEach(entry => {
+    if (entry.ghost) {
+      entry.ghost.visible = visible;
+    }
+  });
+}
+
+// Briefly brighten a ghost so it can be found in the city
+function flashDiffGhost(ghost) {
+  ghost.visible = true;
+  ghost.material.color.setHex(0xffffff);
+  ghost.material.opacity = 1;
+  setTimeout(() => {
+    ghost.material.color.setHex(DIFF_STATUSES.removed.color);
+    ghost.material.opacity = 0.8;
+    const checkbox = document.getElementById('toggle-diff-ghosts');
+    ghost.visible = !checkbox || checkbox.checked;
+  }, GLOW_DURATION * 2);
+}
+
+// Add the diff section to the controls panel: toggles, a legend with the
+// count for each status, and the list of changed elements
+function addDiffControls(diff, before) {
+  const controlsContent = document.getElementById('controls-content');
+  if (!controlsContent) return;
+
+  const section = document.createElement('div');
+  section.className = 'controls-section';
+
+  const title = document.createElement('div');
+  title.className = 'controls-section-title';
+  title.textContent = 'Changes';
+  section.appendChild(title);
+
+  const source = document.createElement('p');
+  source.className = 'diff-source';
+  source.textContent = `Since the scan of ${before.pageMetrics.title || before.pageMetrics.url}`;
+  source.title = before.pageMetrics.url || '';
+  section.appendChild(source);
+
+  section.appendChild(createDiffToggle('toggle-diff-colors', 'Color by change', colorDiffBuildings));
+  section.appendChild(createDiffToggle('toggle-diff-ghosts', 'Show removed elements', setDiffGhostsVisible));
+
+  const legend = document.createElement('div');
+  legend.className = 'diff-legend';
+  Object.keys(DIFF_STATUSES).forEach(status => {
+    const item = document.createElement('span');
+    item.className = 'diff-legend-item';
+    item.appendChild(createDiffSwatch(status));
+    item.append(`${DIFF_STATUSES[status].label} ${diff.counts[status]}`);
+    legend.appendChild(item);
+  });
+  section.appendChild(legend);
+
+  section.appendChild(createDiffList(diff));
+  controlsContent.appendChild(section);
+}
+
+function createDiffToggle(id, label, onChange) {
+  const item = document.createElement('label');
+  item.className = 'control-item';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = id;
+  checkbox.checked = true;
+  checkbox.addEventListener('change', (event) => onChange(event.target.checked));
+
+  const text = document.createElement('span');
+  text.textContent = label;
+
+  item.appendChild(checkbox);
+  item.appendChild(text);
+  return item;
+}
+
+function createDiffSwatch(status) {
+  const swatch = document.createElement('span');
+  swatch.className = 'diff-swatch';
+  swatch.style.backgroundColor = `#${DIFF_STATUSES[status].color.toString(16).padStart(6, '0')}`;
+  return swatch;
+}
+
+// List changed elements by status. Clicking one selects its building, or
+// flashes the ghost of a removed element.
+function createDiffList(diff) {
+  const list = document.createElement('ul');
+  list.className = 'diff-list';
+
+  // Matched elements share one entry under both of their elements
+  const changed = new Set();
+  diff.entries.forEach(entry => {
+    if (entry.status !== 'unchanged') {
+      changed.add(entry);
+    }
+  });
+  const unique = Array.from(changed);
+  const order = Object.keys(DIFF_STATUSES);
+  unique.sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+  unique.slice(0, MAX_DIFF_LIST_ITEMS).forEach(entry => {
+    const element = entry.after || entry.before;
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = '#';
+    link.appendChild(createDiffSwatch(entry.status));
+    link.append(`${describeElement(element)}: ${describeElementChange(element)}`);
+    link.title = element.selectorPath || '';
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      if (entry.after) {
+        selectElementByNodeId(entry.after.nodeId);
+      } else if (entry.ghost) {
+        flashDiffGhost(entry.ghost);
+      }
+    });
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+
+  if (unique.length > MAX_DIFF_LIST_ITEMS) {
+    const more = document.createElement('li');
+    more.textContent = `+${unique.length - MAX_DIFF_LIST_ITEMS} more`;
+    list.appendChild(more);
+  }
+  if (unique.length === 0) {
+    const none = document.createElement('li');
+    none.textContent = 'No changes';
+    list.appendChild(none);
+  }
+  return list;
+}
+
+// Describe how an element changed since the older scan, or null when no diff
+// is shown
+function describeElementChange(domElement) {
+  const entry = scanDiff && scanDiff.entries.get(domElement);
+  if (!entry) return null;
+  if (entry.changes.length === 0) {
+    return DIFF_STATUSES[entry.status].label.toLowerCase();
+  }
+
+  const { before, after } = entry;
+  return entry.changes.map(change => {
+    if (change === 'moved') {
+      const from = getDiffPosition(before);
+      const to = getDiffPosition(after);
+      return `moved ${Math.round(to.x - from.x)}, ${Math.round(to.y - from.y)}px`;
+    }
+    if (change === 'resized') {
+      return `resized ${Math.round(before.dimensions.width)}\u00d7${Math.round(before.dimensions.height)}` +
+        ` \u2192 ${Math.round(after.dimensions.width)}\u00d7${Math.round(after.dimensions.height)}`;
+    }
+    return `restyled (${getChangedStyles(before, after).join(', ')})`;
+  }).join('; ');
+}
@@ -3,11 +3,63 @@
  * Creates geometric shapes for DOM elements in city view
  */
 
-// Configuration constants
-const BASE_HEIGHT = 0.5; // Base height unit for z-index calculation
-const MIN_ELEMENT_SIZE = 10; // Minimum element size in pixels
-const MAX_TEXT_LENGTH = 100; // Maximum text length for textures
-const CANVAS_SIZE = 512; // Canvas size for text textures
+// Configuration from the options page (see setElementSettings)
+let baseHeight = SETTINGS_DEFAULTS.baseHeight; // Base height unit for z-index calculation
+let minElementSize = SETTINGS_DEFAULTS.minElementSize; // Minimum element size in pixels
+
+// Corners within this many px of half the element's size count as 50%
+const ELLIPSE_TOLERANCE = 0.5;
+
+// Select "floating bridge" layout (see createSelectBridge)
+const BRIDGE_ELEVATION = 6; // Height of the bridge above the select's roof
+const BRIDGE_TILE_THICKNESS = 0.4;
+const BRIDGE_TILE_GAP = 0.5;
+const BRIDGE_MIN_TILE_WIDTH = 20;
+const BRIDGE_MIN_TILE_DEPTH = 4;
+const MAX_BRIDGE_TILES = 20;
+const BRIDGE_TILE_COLOR = 0xecf0f1;
+const BRIDGE_SELECTED_COLOR = 0x4a9eff;
+
+// What building height represents. Each source reads a value of at least 0
+// from an element; unit is the amount of it one storey stands for when scaled
+// linearly or logarithmically.
+const HEIGHT_SOURCES = {
+  // The element's own z-index
+  zIndex: {
+    value: element => typeof element.zIndex === 'number' && !isNaN(element.zIndex) ? Math.max(0, element.zIndex) : 0,
+    unit: 1,
+  },
+  // Its effective paint layer in the stacking-context tree (see assignStackingLayers)
+  stackingLayer: { value: element => element.effectiveLayer || 0, unit: 1 },
+  // How deeply it is nested in the DOM
+  domDepth: { value: element => element.position.z || 0, unit: 1 },
+  textLength: { value: element => (element.textContent || '').length, unit: 50 },
+  // Area in px², a storey per 200px square
+  area: { value: element => element.dimensions.width * element.dimensions.height, unit: 40000 },
+  // Size of its (proxied) image, a storey per 10 KB
+  imageBytes: { value: getImageByteSize, unit: 10240 },
+  interactivity: { value: getInteractivityLevel, unit: 1 },
+};
+
+// How a source's value becomes a number of storeys
+const HEIGHT_SCALES = {
+  linear: (value, unit) => value / unit,
+  // Keeps a few huge values (z-index: 99999, full-page containers) from dwarfing the rest
+  log: (value, unit) => Math.log2(1 + value / unit),
+  // Buildings ordered by value, spread evenly up to HEIGHT_RANK_STOREYS
+  rank: value => getHeightRank(value) * HEIGHT_RANK_STOREYS,
+};
+const HEIGHT_RANK_STOREYS = 20;
+
+let heightSource = SETTINGS_DEFAULTS.heightSource;
+let heightScale = SETTINGS_DEFAULTS.heightScale;
+
+// Distinct values of the height source among the rendered elements, in
+// ascending order (see rankHeightValues)
+let rankedHeightValues = [];
+
+// Running height transition (see updateBuildingHeights)
+let heightAnimationId = null;
 
 // Create all element shapes
 function createCityElements(domData) {
@@ -24,27 +76,11 @@ function createCityElements(domData) {
     return [];
   }
 
-  const elements = domData.elements;
-  const scale = window.cityData.scale;
-  const pageMetrics = window.cityData.pageMetrics;
   const elementObjects = [];
 
-  elements.forEach((element, index) => {
-    // Skip tiny elements
-    if (element.dimensions.width < MIN_ELEMENT_SIZE || element.dimensions.height < MIN_ELEMENT_SIZE) {
-      return;
-    }
-
-    let elementShape;
-    try {
-      elementShape = createElementShape(element, scale, pageMetrics);
-    } catch (error) {
-      console.warn('3DOM Elements: Failed to create shape for element:', element.tagName, element.id || '(no id)', error.message);
-      return; // Skip this element
-    }
-
+  domData.elements.forEach(element => {
+    const elementShape = createCityElement(element);
     if (elementShape) {
-      scene.add(elementShape);
       // Push the mesh directly (userData already contains domElement)
       elementObjects.push(elementShape);
     }
@@ -54,53 +90,278 @@ function createCityElements(domData) {
   return elementObjects;
 }
 
-// Create individual element shape
-function createElementShape(element, scale, pageMetrics) {
-  const width = element.dimensions.width * scale;
-  const depth = element.dimensions.height * scale;
+// Create a single element shape and add it to the scene (null if skipped)
+function createCityElement(element) {
+  // Skip tiny elements
+  if (element.dimensions.width < minElementSize || element.dimensions.height < minElementSize) {
+    return null;
+  }
 
-  // Calculate height based on z-index
-  // Validate zIndex is a valid number
-  const zIndex = typeof element.zIndex === 'number' && !isNaN(element.zIndex) ? Math.max(0, element.zIndex) : 0;
-  const height = (zIndex + 1) * BASE_HEIGHT;
+  // Frame elements are rendered as annex districts by city.js
+  if (element.frameData) {
+    return null;
+  }
 
-  // Determine geometry type based on border-radius
-  const geometry = createGeometryForElement(element, width, height, depth);
+  let elementShape;
+  try {
+    elementShape = createElementShape(element, window.cityData.scale, window.cityData.pageMetrics);
+  } catch (error) {
+    console.warn('3DOM Elements: Failed to create shape for element:', element.tagName, element.id || '(no id)', error.message);
+    return null; // Skip this element
+  }
 
-  // Create glass-like material
-  const material = new THREE.MeshPhysicalMaterial({
-    color: getElementColor(element),
-    transparent: true,
-    opacity: 0.7,
-    transmission: 0.5, // Glass-like transparency
-    roughness: 0.1,
-    metalness: 0.1,
-    clearcoat: 1.0,
-    clearcoatRoughness: 0.1,
+  if (elementShape) {
+    addBuildingInstance(elementShape);
+  }
+  return elementShape;
+}
+
+// Remove an element shape (a batched building, or an object in the scene such
+// as a select bridge) and free its GPU resources
+function removeCityElement(elementShape) {
+  const batched = removeBuildingInstance(elementShape);
+  if (!batched) {
+    scene.remove(elementShape);
+  }
+  removeBuildingLabel(elementShape);
+  removeImageRoof(elementShape);
+  elementShape.traverse(child => {
+    if (child.userData.animationId) {
+      cancelAnimationFrame(child.userData.animationId);
+    }
+    // Batched buildings share their geometry (see BUILDING_GEOMETRIES)
+    if (child.geometry && !(batched && child === elementShape)) {
+      child.geometry.dispose();
+    }
+    if (child.material) {
+      if (child.material.map) {
+        child.material.map.dispose();
+      }
+      child.material.dispose();
+    }
   });
+}
+
+// Apply the element settings from the options page (see settings.js)
+function setElementSettings(settings) {
+  baseHeight = settings.baseHeight;
+  minElementSize = settings.minElementSize;
+}
+
+// Switch what building height represents (a HEIGHT_SOURCES key)
+function setHeightSource(source) {
+  if (HEIGHT_SOURCES[source]) {
+    heightSource = source;
+  }
+}
+
+// Switch how the height source is scaled (a HEIGHT_SCALES key)
+function setHeightScale(scale) {
+  if (HEIGHT_SCALES[scale]) {
+    heightScale = scale;
+  }
+}
+
+// Building height for an element under the current height source and scale
+function getElementHeight(element) {
+  const source = HEIGHT_SOURCES[heightSource];
+  const storeys = HEIGHT_SCALES[heightScale](source.value(element), source.unit);
+  return (storeys + 1) * baseHeight;
+}
+
+// Bytes of an element's image, estimated from its data URL (images that
+// couldn't be proxied have none)
+function getImageByteSize(element) {
+  const imageData = element.imageData || (element.articleData && element.articleData.image);
+  const src = imageData && imageData.src;
+  if (!src || !src.startsWith('data:')) {
+    return 0;
+  }
+  const comma = src.indexOf(',');
+  const payload = src.length - comma - 1;
+  return src.slice(0, comma).endsWith(';base64') ? Math.floor(payload * 3 / 4) : payload;
+}
+
+// 2 for links, buttons and form controls, 1 for anything else that reacts to
+// clicks (a pointer cursor or click handler), 0 otherwise
+function getInteractivityLevel(element) {
+  if (!element.isInteractive) {
+    return 0;
+  }
+  return element.type === 'interactive' || element.type === 'form' ? 2 : 1;
+}
+
+// Collect the height source's distinct values among elements, for rank scaling
+function rankHeightValues(elements) {
+  const value = HEIGHT_SOURCES[heightSource].value;
+  rankedHeightValues = Array.from(new Set(elements.map(value))).sort((a, b) => a - b);
+}
+
+// Position of a value among the ranked values, from 0 (lowest) to 1 (highest).
+// Values that weren't ranked (removed elements' diff ghosts) fall in between.
+function getHeightRank(value) {
+  const maxRank = rankedHeightValues.length - 1;
+  if (maxRank <= 0) {
+    return 0;
+  }
+  let low = 0;
+  let high = rankedHeightValues.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (rankedHeightValues[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return Math.min(low, maxRank) / maxRank;
+}
+
+// Resize buildings to their current height, easing from their old height over
+// duration ms if given. Starting again (or resizing at once) takes over from
+// a transition that is still running.
+function updateBuildingHeights(meshes, duration = 0) {
+  if (heightAnimationId) {
+    cancelAnimationFrame(heightAnimationId);
+    heightAnimationId = null;
+  }
+  if (!duration) {
+    meshes.forEach(updateElementHeight);
+    return;
+  }
 
-  const mesh = new THREE.Mesh(geometry, material);
+  const from = meshes.map(mesh => ({ height: mesh.scale.y, y: mesh.position.y }));
+  meshes.forEach(updateElementHeight);
+  const to = meshes.map(mesh => ({ height: mesh.scale.y, y: mesh.position.y }));
+  const startTime = performance.now();
+
+  const step = () => {
+    const progress = Math.min((performance.now() - startTime) / duration, 1);
+    const eased = 1 - Math.pow(1 - progress, 3); // Ease out
+    meshes.forEach((mesh, index) => {
+      mesh.scale.y = from[index].height + (to[index].height - from[index].height) * eased;
+      mesh.position.y = from[index].y + (to[index].y - from[index].y) * eased;
+      markBuildingDirty(mesh);
+    });
+    heightAnimationId = progress < 1 ? requestAnimationFrame(step) : null;
+  };
+  step();
+}
+
+// Resize a building to its current height. Geometry is built one unit tall and
+// scaled, so heights can change without rebuilding it.
+function updateElementHeight(mesh) {
+  const element = mesh.userData.domElement;
+  const height = getElementHeight(element);
+  mesh.scale.y = height;
+  // Elements inside frames stand on their raised annex, fixed ones on the sky layer
+  mesh.position.y = getElementElevation(element) + height / 2;
+  markBuildingDirty(mesh);
+}
+
+// Get the area of the page an element covers. Fixed elements are placed by
+// their position in the viewport (the sky layer sits over the top of the page),
+// and sticky elements span the containing block they can travel through.
+function getElementFootprint(element) {
+  const footprint = {
+    x: element.position.x,
+    y: element.position.y,
+    width: element.dimensions.width,
+    height: element.dimensions.height,
+  };
+
+  const positioning = element.positioning;
+  if (isSkyElement(element)) {
+    footprint.x = positioning.viewport.x;
+    footprint.y = positioning.viewport.y;
+    return footprint;
+  }
+
+  if (positioning && positioning.range && positioning.offsets) {
+    const { offsets, range } = positioning;
+    if (offsets.top !== null || offsets.bottom !== null) {
+      footprint.y = range.y;
+      footprint.height = range.height;
+    }
+    if (offsets.left !== null || offsets.right !== null) {
+      footprint.x = range.x;
+      footprint.width = range.width;
+    }
+  }
 
-  // Enable shadows for 3D depth perception
-  mesh.castShadow = true;
-  mesh.receiveShadow = true;
+  // Content of unfolded scroll containers is laid out next to the city
+  const shift = getScrollShift(element);
+  footprint.x += shift.x;
+  footprint.y += shift.y;
 
-  // Position the element
-  const centerX = (element.position.x + element.dimensions.width / 2) * scale - (pageMetrics.width * scale) / 2;
-  const centerZ = (element.position.y + element.dimensions.height / 2) * scale - (pageMetrics.height * scale) / 2;
+  return footprint;
+}
+
+// Move a building to its element's current footprint (which changes when
+// scroll containers are folded or unfolded)
+function updateElementPosition(mesh) {
+  const { scale, pageMetrics } = window.cityData;
+  const footprint = getElementFootprint(mesh.userData.domElement);
+  mesh.position.x = (footprint.x + footprint.width / 2) * scale - (pageMetrics.width * scale) / 2;
+  mesh.position.z = (footprint.y + footprint.height / 2) * scale - (pageMetrics.height * scale) / 2;
+  markBuildingDirty(mesh);
+}
+
+// Order two stacking paths; missing trailing entries count as z-index 0
+function compareStackingPaths(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
 
-  mesh.position.set(centerX, height / 2, centerZ);
+// Rank elements by stacking path and store the rank as effectiveLayer (0 for
+// the page's normal flow). Scans without stacking paths fall back to z-index.
+function assignStackingLayers(elements) {
+  const sorted = elements
+    .map(element => ({
+      element,
+      path: element.stackingPath || [HEIGHT_SOURCES.zIndex.value(element)],
+    }))
+    .sort((a, b) => compareStackingPaths(a.path, b.path));
+
+  // The normal flow and anything painted below it (negative z-index) share layer 0
+  let layer = 0;
+  sorted.forEach((entry, index) => {
+    if (index > 0 && compareStackingPaths(sorted[index - 1].path, entry.path) !== 0 &&
+        compareStackingPaths(entry.path, []) > 0) {
+      layer++;
+    }
+    entry.element.effectiveLayer = layer;
+  });
+}
 
-  // Text textures disabled - they overlay and block the view
-  // TODO: Re-enable with better sizing/positioning in future
-  // if (element.textContent && element.textContent.length > 0) {
-  //   const textMesh = createTextTexture(element.textContent, width, depth);
-  //   if (textMesh) {
-  //     textMesh.rotation.x = -Math.PI / 2;
-  //     textMesh.position.y = height / 2 + 0.01;
-  //     mesh.add(textMesh);
-  //   }
-  // }
+// Create individual element shape: a building drawn by the batch for its
+// geometry (see batches.js) rather than added to the scene
+function createElementShape(element, scale, pageMetrics) {
+  const footprint = getElementFootprint(element);
+  const shape = getBuildingShape(element, footprint, scale);
+
+  // Holds the building's color, opacity and glow, which its instance copies
+  const material = new THREE.MeshStandardMaterial({
+    color: getElementColor(element),
+    transparent: true,
+    // Fixed and sticky elements float over the page, so keep them see-through
+    opacity: element.positioning ? 0.4 : 0.7,
+  });
+
+  // Shared geometry, scaled to the footprint here and to the height in
+  // updateElementHeight
+  const mesh = new THREE.Mesh(shape.geometry, material);
+  mesh.scale.set(shape.width, 1, shape.depth);
+
+  if (isSkyElement(element)) {
+    getSkyLayer();
+  }
 
   // Store element data for interactions
   mesh.userData = {
@@ -109,36 +370,80 @@ function createElementShape(element, scale, pageMetrics) {
     elementType: element.type
   };
 
+  updateElementPosition(mesh);
+  updateElementHeight(mesh);
+
   return mesh;
 }
 
-// Create appropriate geometry based on element shape
-function createGeometryForElement(element, width, height, depth) {
-  const borderRadius = element.styles.borderRadius;
+// Pick the shared geometry for an element based on its border-radius, and
+// the width and depth to scale it to. Footprint sizes are in page px.
+function getBuildingShape(element, footprint, scale) {
+  const width = footprint.width;
+  const height = footprint.height;
+  const radii = parseBorderRadius(element.styles.borderRadius, width, height);
+  if (!radii || Math.min(width, height) <= 0) {
+    return { geometry: BUILDING_GEOMETRIES.box, width: width * scale, depth: height * scale };
+  }
 
-  // Check if circular (border-radius: 50% or close to it)
-  if (borderRadius && borderRadius.includes('50%')) {
-    // Use cylinder for circular elements
-    const radius = Math.min(width, depth) / 2;
-    return new THREE.CylinderGeometry(radius, radius, height, 32);
+  // Every corner rounded by half the width and height (50%): a circle or an
+  // ellipse, drawn as a stretched cylinder
+  const isEllipse = radii.every(corner =>
+    Math.abs(corner.x - width / 2) < ELLIPSE_TOLERANCE && Math.abs(corner.y - height / 2) < ELLIPSE_TOLERANCE
+  );
+  if (isEllipse) {
+    return { geometry: BUILDING_GEOMETRIES.cylinder, width: width * scale, depth: height * scale };
   }
 
-  // Check if has border-radius (rounded corners)
-  if (borderRadius && borderRadius !== '0px' && !borderRadius.includes('0%')) {
-    // Parse border-radius value (simplified - just use first value)
-    let radiusValue = 0;
-    const match = borderRadius.match(/(\d+)px/);
-    if (match) {
-      radiusValue = Math.min(parseInt(match[1], 10) * (window.cityData.scale || 0.2), Math.min(width, depth) / 4);
-    }
+  // Rounded rectangles (pills included) keep their corners' shape only when
+  // scaled evenly, so their geometry is built to shape in units of the shorter
+  // side (then stretched by the little its size was rounded)
+  const side = Math.min(width, height);
+  const geometry = getRoundedBuildingGeometry(
+    width / side,
+    height / side,
+    radii.map(corner => ({ x: corner.x / side, y: corner.y / side }))
+  );
+  return {
+    geometry,
+    width: (width * scale) / geometry.userData.width,
+    depth: (height * scale) / geometry.userData.depth,
+  };
+}
 
-    // Use BoxGeometry with rounded edges (Three.js doesn't have built-in RoundedBoxGeometry in core)
-    // For simplicity, use regular box - we can enhance this later
-    return new THREE.BoxGeometry(width, height, depth);
+// Parse a computed border-radius ("8px", "50%", "4px 8px", "10px / 20px")
+// into the horizontal and vertical radius of each corner, in page px, in CSS
+// order: top-left, top-right, bottom-right, bottom-left. Radii too big for the
+// box are scaled down together, as browsers do. Returns null for square corners.
+function parseBorderRadius(borderRadius, width, height) {
+  if (!borderRadius) {
+    return null;
   }
 
-  // Default: rectangular box
-  return new THREE.BoxGeometry(width, height, depth);
+  const [horizontal, vertical = horizontal] = borderRadius.split('/');
+  const toCorners = (values, size) => {
+    const lengths = values.trim().split(/\s+/).map(value =>
+      value.endsWith('%') ? (parseFloat(value) / 100) * size : parseFloat(value) || 0
+    );
+    // Same expansion as the border-radius shorthand
+    const [topLeft, topRight = topLeft, bottomRight = topLeft, bottomLeft = topRight] = lengths;
+    return [topLeft, topRight, bottomRight, bottomLeft].map(length => Math.max(0, length || 0));
+  };
+  const xs = toCorners(horizontal, width);
+  const ys = toCorners(vertical, height);
+  if (xs.every(x => x === 0) || ys.every(y => y === 0)) {
+    return null;
+  }
+
+  // Adjacent radii may not add up to more than their side
+  const factor = Math.min(
+    1,
+    width / (xs[0] + xs[1]) || 1,
+    width / (xs[3] + xs[2]) || 1,
+    height / (ys[0] + ys[3]) || 1,
+    height / (ys[1] + ys[2]) || 1
+  );
+  return xs.map((x, index) => ({ x: x * factor, y: ys[index] * factor }));
 }
 
 // Determine element color based on type or background
@@ -175,66 +480,66 @@ function getElementColor(element) {
   return typeColors[element.type] || 0xffffff;
 }
 
-// Create text texture for element
-function createTextTexture(text, width, depth) {
-  // Limit text length for performance
-  const displayText = text.length > MAX_TEXT_LENGTH ? text.substring(0, MAX_TEXT_LENGTH) + '...' : text;
-
-  // Create canvas
-  const canvas = document.createElement('canvas');
-  canvas.width = CANVAS_SIZE;
-  canvas.height = CANVAS_SIZE;
-  const context = canvas.getContext('2d');
-
-  // Fill background (semi-transparent)
-  context.fillStyle = 'rgba(255, 255, 255, 0.9)';
-  context.fillRect(0, 0, canvas.width, canvas.height);
-
-  // Calculate font size based on surface dimensions
-  const minDimension = Math.min(width, depth);
-  let fontSize = Math.max(16, Math.min(48, minDimension * 3));
-
-  // Draw text
-  context.fillStyle = '#000000';
-  context.font = `${fontSize}px Arial`;
-  context.textAlign = 'center';
-  context.textBaseline = 'middle';
-
-  // Word wrap text
-  const words = displayText.split(' ');
-  const lines = [];
-  let currentLine = '';
-  const maxWidth = canvas.width - 40;
-
-  words.forEach(word => {
-    const testLine = currentLine + word + ' ';
-    const metrics = context.measureText(testLine);
-    if (metrics.width > maxWidth && currentLine !== '') {
-      lines.push(currentLine);
-      currentLine = word + ' ';
-    } else {
-      currentLine = testLine;
-    }
-  });
-  lines.push(currentLine);
+// Build the "floating bridge" for a select building: a row of option tiles
+// raised above it and running down the page like an opened dropdown, with
+// the selected option highlighted. Returns null if no options were captured.
+function createSelectBridge(mesh) {
+  const formState = mesh.userData.domElement.formState;
+  if (!formState || !formState.options || formState.options.length === 0) {
+    return null;
+  }
 
-  // Draw lines
-  const lineHeight = fontSize * 1.2;
-  const startY = (canvas.height - (lines.length * lineHeight)) / 2;
-  lines.forEach((line, index) => {
-    context.fillText(line.trim(), canvas.width / 2, startY + (index * lineHeight) + lineHeight / 2);
-  });
+  const tiles = formState.options.slice(0, MAX_BRIDGE_TILES).map(option => ({
+    label: option.group ? `${option.group}: ${option.label}` : option.label,
+    selected: option.selected,
+    disabled: option.disabled,
+  }));
+  const hiddenCount = formState.optionCount - tiles.length;
+  if (hiddenCount > 0) {
+    tiles.push({ label: `+${hiddenCount} more`, disabled: true });
+  }
 
-  // Create texture
-  const texture = new THREE.CanvasTexture(canvas);
-  const material = new THREE.MeshBasicMaterial({
-    map: texture,
-    transparent: true,
-    opacity: 0.9,
+  const bounds = new THREE.Box3().setFromObject(mesh);
+  const size = bounds.getSize(new THREE.Vector3());
+  const tileWidth = Math.max(size.x, BRIDGE_MIN_TILE_WIDTH);
+  const tileDepth = Math.max(size.z, BRIDGE_MIN_TILE_DEPTH);
+
+  const bridge = new THREE.Group();
+  bridge.position.set(
+    (bounds.min.x + bounds.max.x) / 2,
+    bounds.max.y + BRIDGE_ELEVATION,
+    (bounds.min.z + bounds.max.z) / 2
+  );
+
+  // A post from the roof of the select up to the first tile
+  const post = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.3, 0.3, BRIDGE_ELEVATION, 8),
+    new THREE.MeshStandardMaterial({ color: BRIDGE_SELECTED_COLOR })
+  );
+  post.position.y = -BRIDGE_ELEVATION / 2;
+  bridge.add(post);
+
+  tiles.forEach((tile, index) => {
+    const z = index * (tileDepth + BRIDGE_TILE_GAP);
+    const color = tile.selected ? BRIDGE_SELECTED_COLOR : BRIDGE_TILE_COLOR;
+    const slab = new THREE.Mesh(
+      new THREE.BoxGeometry(tileWidth, BRIDGE_TILE_THICKNESS, tileDepth),
+      new THREE.MeshStandardMaterial({
+        color: color,
+        emissive: tile.selected ? color : 0x000000,
+        emissiveIntensity: tile.selected ? 0.5 : 0,
+        transparent: true,
+        opacity: tile.disabled ? 0.4 : 0.9,
+      })
+    );
+    slab.position.z = z;
+    bridge.add(slab);
+
+    const label = createTextPlane(tile.label, tileWidth * 0.9, tileDepth * 0.8);
+    label.rotation.x = -Math.PI / 2;
+    label.position.set(0, BRIDGE_TILE_THICKNESS / 2 + 0.01, z);
+    bridge.add(label);
   });
 
-  const geometry = new THREE.PlaneGeometry(width, depth);
-  const mesh = new THREE.Mesh(geometry, material);
-
-  return mesh;
+  return bridge;
 }
@@ -3,8 +3,10 @@
  * Handles image loading and rendering functions
  */
 
-// Helper function to create an image display from image data
-function createImageDisplay(imageData, geometry) {
+// Helper function to create an image display from image data. onLoad, if
+// given, is called with the mesh once it shows the image or its fallback, and
+// whether it fell back.
+function createImageDisplay(imageData, geometry, onLoad) {
   // Create a placeholder material first
   const placeholderMaterial = new THREE.MeshBasicMaterial({
     color: 0x3498db,
@@ -70,6 +72,7 @@ function createImageDisplay(imageData, geometry) {
           });
           imageMesh.material = imgMaterial;
           console.log("Successfully loaded image texture");
+          if (onLoad) onLoad(imageMesh);
         },
         (progress) => {
           // Loading progress - could add a progress indicator here
@@ -93,6 +96,7 @@ function createImageDisplay(imageData, geometry) {
                 });
                 imageMesh.material = imgMaterial;
                 console.log("Successfully loaded fallback image");
+                if (onLoad) onLoad(imageMesh);
               },
               null,
               (fallbackErr) => {
@@ -164,9 +168,11 @@ function createImageDisplay(imageData, geometry) {
         map: texture,
         side: THREE.DoubleSide,
       });
+      if (onLoad) onLoad(imageMesh, true);
     }
   } catch (error) {
     console.error("Error processing image:", error);
+    if (onLoad) onLoad(imageMesh, true);
   }
 
   return imageMesh;
@@ -591,3 +597,309 @@ function createArticleExhibit(element) {
 
   return group;
 }
+
+// Image roofs (city view): buildings of elements with an image are topped
+// with it. Roofs load nearest-first a few at a time once their building is on
+// screen and big enough to make out, and are unloaded after it has been off
+// screen (or too small) for a while, so only the images in view take memory.
+// Until its image is ready a roof shows that it is loading, and images that
+// could not be fetched (proxyStatus "failed") or shown say so instead.
+const IMAGE_ROOF_UPDATE_INTERVAL = 250; // ms between checking which roofs to show
+const IMAGE_ROOF_MAX_LOADS = 4; // Images loading at once
+const IMAGE_ROOF_MIN_PIXELS = 24; // Roofs smaller than this on screen aren't loaded
+const IMAGE_ROOF_UNLOAD_DELAY = 5000; // ms off screen before a roof is unloaded
+const IMAGE_ROOF_OFFSET = 0.005; // Above the roof, below labels
+
+// Unit roof shapes, scaled to the footprint: round buildings get a disc
+const IMAGE_ROOF_GEOMETRIES = {
+  plane: new THREE.PlaneGeometry(1, 1),
+  circle: new THREE.CircleGeometry(0.5, 32),
+};
+
+// Look of the roofs without an image, unlike the blue "External Image" card
+// the content script draws for failed images
+const IMAGE_ROOF_PLACEHOLDERS = {
+  pending: {
+    background: "#2c3e50",
+    border: "#95a5a6",
+    dash: [24, 16],
+    text: "Loading image",
+    textColor: "#bdc3c7",
+  },
+  failed: {
+    background: "#3b2323",
+    border: "#e74c3c",
+    dash: [],
+    text: "Image unavailable",
+    textColor: "#f5b7b1",
+  },
+};
+
+// Roofs by building: { object, state, loading, hiddenSince }, where state is
+// "pending", "failed" or "image"
+const imageRoofs = new Map();
+let imageRoofLoads = 0;
+let lastImageRoofUpdate = 0;
+const imageRoofFrustum = new THREE.Frustum();
+const imageRoofMatrix = new THREE.Matrix4();
+const imageRoofSphere = new THREE.Sphere();
+
+// Placeholder materials by state, shared by every roof showing one
+const imageRoofPlaceholderMaterials = {};
+
+// The image an element's building shows: its own, or its article's. Images
+// still streaming in have no src yet.
+function getRoofImage(element) {
+  const imageData =
+    element.imageData || (element.articleData && element.articleData.image);
+  return imageData &&
+    (imageData.src || imageData.isPlaceholder || imageData.pendingImage)
+    ? imageData
+    : null;
+}
+
+function isFailedRoofImage(imageData) {
+  return imageData.proxyStatus === "failed" || Boolean(imageData.isPlaceholder);
+}
+
+// Start and drop image loads every IMAGE_ROOF_UPDATE_INTERVAL, and keep the
+// roofs shown on their buildings as heights and positions change (called each
+// frame, see animate)
+function updateImageRoofs() {
+  if (!camera || !window.cityData || !window.cityData.scale) {
+    return;
+  }
+
+  const now = performance.now();
+  if (now - lastImageRoofUpdate >= IMAGE_ROOF_UPDATE_INTERVAL) {
+    lastImageRoofUpdate = now;
+    refreshImageRoofs(now);
+  }
+  imageRoofs.forEach((roof, mesh) => {
+    if (roof.object.parent) {
+      positionImageRoof(mesh, roof.object);
+    }
+  });
+}
+
+function refreshImageRoofs(now) {
+  camera.updateMatrixWorld();
+  imageRoofMatrix.multiplyMatrices(
+    camera.projectionMatrix,
+    camera.matrixWorldInverse
+  );
+  imageRoofFrustum.setFromProjectionMatrix(imageRoofMatrix);
+  // Screen px per scene unit at distance 1
+  const pixelsPerUnit =
+    window.innerHeight /
+    2 /
+    Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+
+  const wanted = [];
+  domElements.forEach((mesh) => {
+    const element = mesh.userData.domElement;
+    if (!mesh.visible || !getRoofImage(element)) {
+      return;
+    }
+
+    const size = getImageRoofSize(mesh);
+    imageRoofSphere.center.set(
+      mesh.position.x,
+      mesh.position.y + mesh.scale.y / 2,
+      mesh.position.z
+    );
+    imageRoofSphere.radius = Math.hypot(size.width, size.depth) / 2;
+    const distance = camera.position.distanceTo(imageRoofSphere.center);
+    const pixels =
+      (Math.min(size.width, size.depth) * pixelsPerUnit) / distance;
+    if (
+      pixels >= IMAGE_ROOF_MIN_PIXELS &&
+      imageRoofFrustum.intersectsSphere(imageRoofSphere)
+    ) {
+      wanted.push({ mesh, distance });
+    }
+  });
+
+  // Show the roofs in view, nearest first; others count as hidden
+  const inView = new Set(wanted.map((entry) => entry.mesh));
+  imageRoofs.forEach((roof, mesh) => {
+    if (inView.has(mesh)) {
+      roof.hiddenSince = null;
+      if (!roof.object.parent) {
+        scene.add(roof.object);
+        positionImageRoof(mesh, roof.object);
+      }
+    } else if (roof.hiddenSince === null) {
+      roof.hiddenSince = now;
+      scene.remove(roof.object);
+    } else if (now - roof.hiddenSince >= IMAGE_ROOF_UNLOAD_DELAY) {
+      removeImageRoof(mesh);
+    }
+  });
+
+  // New roofs, and images that finished streaming in since their roof was
+  // added, load nearest first
+  wanted
+    .filter((entry) => {
+      const roof = imageRoofs.get(entry.mesh);
+      return (
+        !roof ||
+        (roof.state === "pending" &&
+          !roof.loading &&
+          getRoofImage(entry.mesh.userData.domElement).src)
+      );
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, Math.max(0, IMAGE_ROOF_MAX_LOADS - imageRoofLoads))
+    .forEach((entry) => loadImageRoof(entry.mesh));
+}
+
+// Roof size in scene units: the element's footprint
+function getImageRoofSize(mesh) {
+  if (!mesh.userData.roofSize) {
+    const footprint = getElementFootprint(mesh.userData.domElement);
+    const scale = window.cityData.scale;
+    mesh.userData.roofSize = {
+      width: footprint.width * scale,
+      depth: footprint.height * scale,
+    };
+  }
+  return mesh.userData.roofSize;
+}
+
+function getImageRoofGeometry(mesh) {
+  return mesh.geometry === BUILDING_GEOMETRIES.cylinder
+    ? IMAGE_ROOF_GEOMETRIES.circle
+    : IMAGE_ROOF_GEOMETRIES.plane;
+}
+
+// Give a building its roof: the failed placeholder for images that could not
+// be fetched, otherwise the pending placeholder while its image loads (see
+// createImageDisplay), or while it is still streaming in
+function loadImageRoof(mesh) {
+  const imageData = getRoofImage(mesh.userData.domElement);
+  const state = isFailedRoofImage(imageData) ? "failed" : "pending";
+  let roof = imageRoofs.get(mesh);
+  if (!roof) {
+    roof = { object: null, state, loading: false, hiddenSince: null };
+    imageRoofs.set(mesh, roof);
+    setImageRoofObject(mesh, roof, createPlaceholderRoof(mesh, state));
+  } else if (state === "failed") {
+    // Streamed in since, but could not be fetched
+    roof.state = state;
+    setImageRoofObject(mesh, roof, createPlaceholderRoof(mesh, state));
+  }
+  if (roof.state !== "pending" || !imageData.src) {
+    return;
+  }
+
+  roof.loading = true;
+  imageRoofLoads++;
+  // Ready at once for data URLs that fail to decode, before createImageDisplay
+  // returns
+  createImageDisplay(imageData, getImageRoofGeometry(mesh), (object, failed) => {
+    imageRoofLoads--;
+    roof.loading = false;
+    if (imageRoofs.get(mesh) !== roof) {
+      // Unloaded while loading
+      disposeImageRoof(object);
+      return;
+    }
+    if (failed) {
+      disposeImageRoof(object);
+      object = createPlaceholderRoof(mesh, "failed");
+    }
+    roof.state = failed ? "failed" : "image";
+    setImageRoofObject(mesh, roof, object);
+  });
+}
+
+// Show object as a building's roof in place of the one it had
+function setImageRoofObject(mesh, roof, object) {
+  const size = getImageRoofSize(mesh);
+  if (roof.object) {
+    disposeImageRoof(roof.object);
+  }
+  roof.object = object;
+  object.rotation.x = -Math.PI / 2;
+  object.scale.set(size.width, size.depth, 1);
+  if (roof.hiddenSince === null) {
+    scene.add(object);
+    positionImageRoof(mesh, object);
+  }
+}
+
+function createPlaceholderRoof(mesh, state) {
+  if (!imageRoofPlaceholderMaterials[state]) {
+    imageRoofPlaceholderMaterials[state] = new THREE.MeshBasicMaterial({
+      map: createPlaceholderRoofTexture(IMAGE_ROOF_PLACEHOLDERS[state]),
+    });
+  }
+  const object = new THREE.Mesh(
+    getImageRoofGeometry(mesh),
+    imageRoofPlaceholderMaterials[state]
+  );
+  object.userData.isPlaceholder = true;
+  return object;
+}
+
+// A dark tile with an outline, and for failed images a crossed-out frame
+function createPlaceholderRoofTexture(style) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 256;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = style.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.strokeStyle = style.border;
+  ctx.lineWidth = 8;
+  ctx.setLineDash(style.dash);
+  ctx.strokeRect(16, 16, canvas.width - 32, canvas.height - 32);
+  if (!style.dash.length) {
+    ctx.beginPath();
+    ctx.moveTo(16, 16);
+    ctx.lineTo(canvas.width - 16, canvas.height - 16);
+    ctx.stroke();
+  }
+
+  ctx.font = "bold 22px Arial";
+  ctx.fillStyle = style.textColor;
+  ctx.textAlign = "center";
+  ctx.fillText(style.text, canvas.width / 2, canvas.height - 40);
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+function positionImageRoof(mesh, object) {
+  object.position.set(
+    mesh.position.x,
+    mesh.position.y + mesh.scale.y / 2 + IMAGE_ROOF_OFFSET,
+    mesh.position.z
+  );
+}
+
+// Drop a building's roof (see removeCityElement); an image still loading is
+// disposed when it finishes
+function removeImageRoof(mesh) {
+  const roof = imageRoofs.get(mesh);
+  if (!roof) {
+    return;
+  }
+  imageRoofs.delete(mesh);
+  disposeImageRoof(roof.object);
+}
+
+// Free a roof's texture and material; its geometry, and the placeholders'
+// materials, are shared
+function disposeImageRoof(object) {
+  scene.remove(object);
+  if (object.userData.isPlaceholder) {
+    return;
+  }
+  if (object.material.map) {
+    object.material.map.dispose();
+  }
+  object.material.dispose();
+}
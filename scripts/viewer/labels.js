@@ -0,0 +1,316 @@
+/**
+ * 3DOM - Building Labels
+ * Shows a building's heading or text on its roof, or on a sign floating above
+ * it when the roof is too small to hold the text. Labels are drawn at the
+ * element's captured font size, so they fade in as the camera gets close
+ * enough to read them; where labels would overlap, headings and larger text
+ * win. Long text collapses to a summary.
+ */
+
+// Labels whose text would be smaller than this on screen (px) are hidden; they
+// fade in until their text is LABEL_FULL_PIXEL_SIZE
+const LABEL_MIN_PIXEL_SIZE = 6;
+const LABEL_FULL_PIXEL_SIZE = 10;
+const MAX_VISIBLE_LABELS = 150;
+const LABEL_UPDATE_INTERVAL = 100; // ms between placing labels again
+const LABEL_SUMMARY_LENGTH = 80; // Longer text collapses to a summary
+const LABEL_MAX_LINES = 3;
+const LABEL_SIGN_MAX_WIDTH = 240; // Page px a floating sign's text wraps at
+const LABEL_SIGN_ELEVATION = 1; // Height of a sign above its building's roof
+const LABEL_PADDING = 5; // Page px around the text
+const LABEL_TEXTURE_SCALE = 2; // Canvas px per page px
+const LABEL_MAX_TEXTURE_SIZE = 2048;
+const LABEL_CACHE_SIZE = 500; // Label meshes kept around while hidden
+
+let labelsEnabled = true;
+let lastLabelUpdate = 0;
+let labelMeasureContext = null;
+
+// Label meshes by building, least recently shown first, and the buildings
+// whose label is in the scene
+const labelObjects = new Map();
+let shownLabels = new Set();
+
+// Label text by element, which placeBuildingLabels asks for often
+const labelTexts = new WeakMap();
+
+const labelPoint = new THREE.Vector3();
+
+document.addEventListener('DOMContentLoaded', setupLabelControls);
+
+function setupLabelControls() {
+  const checkbox = document.getElementById('toggle-labels');
+  if (!checkbox) {
+    return;
+  }
+  checkbox.checked = labelsEnabled;
+  checkbox.addEventListener('change', () => {
+    labelsEnabled = checkbox.checked;
+    lastLabelUpdate = 0;
+  });
+}
+
+// Place labels again every LABEL_UPDATE_INTERVAL, and keep the ones shown on
+// their buildings as heights and positions change (called each frame, see
+// animate)
+function updateBuildingLabels() {
+  if (!camera || !window.cityData || !window.cityData.scale) {
+    return;
+  }
+
+  const now = performance.now();
+  if (now - lastLabelUpdate >= LABEL_UPDATE_INTERVAL) {
+    lastLabelUpdate = now;
+    placeBuildingLabels();
+  }
+  shownLabels.forEach(positionBuildingLabel);
+}
+
+// Pick the labels to show: readable at the current zoom, on screen and not
+// overlapping a label that ranks higher
+function placeBuildingLabels() {
+  const textParentIds = collectTextParents(domElements);
+  const scale = window.cityData.scale;
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  // Screen px per scene unit at distance 1
+  const pixelsPerUnit = height / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+
+  const candidates = [];
+  if (labelsEnabled) {
+    domElements.forEach(mesh => {
+      const element = mesh.userData.domElement;
+      if (!mesh.visible || textParentIds.has(element.nodeId) || !getLabelText(element)) {
+        return;
+      }
+
+      labelPoint.set(mesh.position.x, mesh.position.y + mesh.scale.y / 2, mesh.position.z);
+      const unitPixels = pixelsPerUnit / camera.position.distanceTo(labelPoint);
+      const fontPixels = getLabelFont(element).size * scale * unitPixels;
+      if (fontPixels < LABEL_MIN_PIXEL_SIZE) {
+        return;
+      }
+
+      labelPoint.project(camera);
+      if (labelPoint.z > 1 || Math.abs(labelPoint.x) > 1 || Math.abs(labelPoint.y) > 1) {
+        return;
+      }
+
+      const label = getBuildingLabel(mesh);
+      const labelWidth = label.width * scale * unitPixels;
+      const labelHeight = label.height * scale * unitPixels;
+      const x = (labelPoint.x + 1) / 2 * width;
+      const y = (1 - labelPoint.y) / 2 * height;
+      candidates.push({
+        mesh,
+        fontPixels,
+        isHeading: element.type === 'header',
+        rect: { left: x - labelWidth / 2, right: x + labelWidth / 2, top: y - labelHeight / 2, bottom: y + labelHeight / 2 },
+      });
+    });
+  }
+
+  candidates.sort((a, b) => (b.isHeading - a.isHeading) || (b.fontPixels - a.fontPixels));
+
+  const placed = [];
+  const nextShown = new Set();
+  for (const candidate of candidates) {
+    if (placed.length >= MAX_VISIBLE_LABELS) {
+      break;
+    }
+    if (placed.some(rect => rectsOverlap(rect, candidate.rect))) {
+      continue;
+    }
+    placed.push(candidate.rect);
+    nextShown.add(candidate.mesh);
+
+    const object = showBuildingLabel(candidate.mesh);
+    const fade = (candidate.fontPixels - LABEL_MIN_PIXEL_SIZE) / (LABEL_FULL_PIXEL_SIZE - LABEL_MIN_PIXEL_SIZE);
+    object.material.opacity = Math.min(1, fade);
+  }
+
+  shownLabels.forEach(mesh => {
+    if (!nextShown.has(mesh)) {
+      scene.remove(labelObjects.get(mesh));
+    }
+  });
+  shownLabels = nextShown;
+  trimLabelCache();
+}
+
+function rectsOverlap(a, b) {
+  return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+// Node IDs of elements whose text is also a visible child's: containers
+// repeat the text of every element inside them, so only the innermost visible
+// element is labeled
+function collectTextParents(meshes) {
+  const parentIds = new Set();
+  meshes.forEach(mesh => {
+    const element = mesh.userData.domElement;
+    if (mesh.visible && element.parentNodeId && getLabelText(element)) {
+      parentIds.add(element.parentNodeId);
+    }
+  });
+  return parentIds;
+}
+
+// Text a building's label shows: the element's text, or its image's alt text
+function getLabelText(element) {
+  let text = labelTexts.get(element);
+  if (text === undefined) {
+    text = (element.textContent || (element.imageData && element.imageData.alt) || '').replace(/\s+/g, ' ').trim();
+    labelTexts.set(element, text);
+  }
+  return text;
+}
+
+// Collapse long text to its first sentence (or as many words as fit) and a
+// word count
+function summarizeLabelText(text) {
+  if (text.length <= LABEL_SUMMARY_LENGTH) {
+    return text;
+  }
+  const words = text.split(' ').length;
+  const sentence = text.match(/^.+?[.!?](?=\s|$)/);
+  const summary = sentence && sentence[0].length <= LABEL_SUMMARY_LENGTH
+    ? sentence[0]
+    : `${text.slice(0, LABEL_SUMMARY_LENGTH).replace(/\s+\S*$/, '')}…`;
+  return `${summary} (${words} words)`;
+}
+
+// The element's captured font, in page px
+function getLabelFont(element) {
+  const size = parseFloat(element.styles.fontSize);
+  return {
+    size: Math.min(96, Math.max(6, size || 16)),
+    weight: element.styles.fontWeight || 'normal',
+  };
+}
+
+// Lay out a building's label, once: its text wrapped at the captured font, on
+// the roof if it fits there, otherwise on a floating sign. Sizes are in page px.
+function getBuildingLabel(mesh) {
+  if (mesh.userData.label) {
+    return mesh.userData.label;
+  }
+
+  const element = mesh.userData.domElement;
+  const font = getLabelFont(element);
+  const text = summarizeLabelText(getLabelText(element));
+  if (!labelMeasureContext) {
+    labelMeasureContext = document.createElement('canvas').getContext('2d');
+  }
+  const context = labelMeasureContext;
+  context.font = `${font.weight} ${font.size}px Arial`;
+  const lineHeight = font.size * 1.2;
+
+  const footprint = getElementFootprint(element);
+  const roofWidth = footprint.width - LABEL_PADDING * 2;
+  let lines = wrapText(context, text, roofWidth, LABEL_MAX_LINES);
+  const fitsRoof = lines[lines.length - 1] !== '...' &&
+    lines.every(line => context.measureText(line).width <= roofWidth) &&
+    lines.length * lineHeight + LABEL_PADDING * 2 <= footprint.height;
+  if (!fitsRoof) {
+    lines = wrapText(context, text, LABEL_SIGN_MAX_WIDTH, LABEL_MAX_LINES);
+  }
+
+  const textWidth = Math.max(...lines.map(line => context.measureText(line).width));
+  mesh.userData.label = {
+    text,
+    font,
+    isSign: !fitsRoof,
+    textWidth,
+    width: Math.ceil(textWidth) + LABEL_PADDING * 2,
+    height: lines.length * lineHeight + LABEL_PADDING * 2,
+  };
+  return mesh.userData.label;
+}
+
+// Add a building's label to the scene, creating its mesh if needed
+function showBuildingLabel(mesh) {
+  let object = labelObjects.get(mesh);
+  if (object) {
+    // Most recently shown goes last (see trimLabelCache)
+    labelObjects.delete(mesh);
+  } else {
+    object = createLabelObject(mesh.userData.label);
+  }
+  labelObjects.set(mesh, object);
+
+  if (!shownLabels.has(mesh)) {
+    scene.add(object);
+    positionBuildingLabel(mesh);
+  }
+  return object;
+}
+
+function createLabelObject(label) {
+  const textureScale = Math.min(
+    LABEL_TEXTURE_SCALE,
+    LABEL_MAX_TEXTURE_SIZE / label.width,
+    LABEL_MAX_TEXTURE_SIZE / label.height
+  );
+  const texture = createTextTexture(label.text, {
+    // createTextTexture wraps 20px inside the canvas; a px of slack keeps the same lines
+    width: Math.ceil(label.textWidth * textureScale) + 21,
+    height: Math.ceil(label.height * textureScale),
+    fontSize: label.font.size * textureScale,
+    fontWeight: label.font.weight,
+    fontColor: '#ffffff',
+    // Signs get a backing; roof labels an outline against the building's color
+    backgroundColor: label.isSign ? 'rgba(20, 20, 20, 0.85)' : null,
+    strokeColor: label.isSign ? null : 'rgba(0, 0, 0, 0.8)',
+    maxLines: LABEL_MAX_LINES,
+  });
+
+  const scale = window.cityData.scale;
+  const object = new THREE.Mesh(
+    new THREE.PlaneGeometry(label.width * scale, label.height * scale),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: 0, depthWrite: false })
+  );
+  object.rotation.x = -Math.PI / 2;
+  object.renderOrder = 1; // Over the buildings' instances
+  return object;
+}
+
+// Put a label on its building's roof, or a sign above it
+function positionBuildingLabel(mesh) {
+  const object = labelObjects.get(mesh);
+  const roof = mesh.position.y + mesh.scale.y / 2;
+  object.position.set(
+    mesh.position.x,
+    roof + (mesh.userData.label.isSign ? LABEL_SIGN_ELEVATION : 0.01),
+    mesh.position.z
+  );
+}
+
+// Free the meshes of labels not shown for the longest time, beyond LABEL_CACHE_SIZE
+function trimLabelCache() {
+  for (const mesh of labelObjects.keys()) {
+    if (labelObjects.size <= LABEL_CACHE_SIZE) {
+      break;
+    }
+    if (!shownLabels.has(mesh)) {
+      disposeLabelObject(mesh);
+    }
+  }
+}
+
+// Drop a building's label (see removeCityElement)
+function removeBuildingLabel(mesh) {
+  if (labelObjects.has(mesh)) {
+    disposeLabelObject(mesh);
+  }
+  shownLabels.delete(mesh);
+}
+
+function disposeLabelObject(mesh) {
+  const object = labelObjects.get(mesh);
+  scene.remove(object);
+  object.geometry.dispose();
+  object.material.map.dispose();
+  object.material.dispose();
+  labelObjects.delete(mesh);
+}
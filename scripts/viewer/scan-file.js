@@ -0,0 +1,359 @@
+/**
+ * 3DOM - Scan Files
+ * Exports the scan shown to a versioned .3dom.json file, and imports such
+ * files (from the file picker, or dropped onto the viewer) after checking
+ * them against the schema
+ */
+
+// File format name and schema version. Bump the version when domData changes
+// in a way older viewers can't read.
+const SCAN_FILE_FORMAT = '3dom-scan';
+const SCAN_FILE_VERSION = 1;
+const SCAN_FILE_EXTENSION = '.3dom.json';
+
+document.addEventListener('DOMContentLoaded', setupScanFileControls);
+
+// Wire up the export and import buttons, and importing dropped files
+function setupScanFileControls() {
+  const exportButton = document.getElementById('export-scan');
+  const importButton = document.getElementById('import-scan');
+  const fileInput = document.getElementById('import-scan-file');
+  if (!exportButton || !importButton || !fileInput) {
+    return;
+  }
+
+  exportButton.addEventListener('click', exportScan);
+  importButton.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) {
+      importScanFile(fileInput.files[0]);
+    }
+    fileInput.value = '';
+  });
+
+  // dragenter/dragleave fire for every child crossed, so count them
+  let dragDepth = 0;
+  window.addEventListener('dragenter', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    document.body.classList.add('dragging-file');
+  });
+  window.addEventListener('dragover', (event) => {
+    if (isFileDrag(event)) {
+      event.preventDefault();
+    }
+  });
+  window.addEventListener('dragleave', (event) => {
+    if (!isFileDrag(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+      document.body.classList.remove('dragging-file');
+    }
+  });
+  window.addEventListener('drop', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove('dragging-file');
+    if (event.dataTransfer.files.length > 0) {
+      importScanFile(event.dataTransfer.files[0]);
+    }
+  });
+}
+
+function isFileDrag(event) {
+  return Boolean(event.dataTransfer) && Array.from(event.dataTransfer.types).includes('Files');
+}
+
+// Allow exporting once a scan has been fully drawn (see finishCityView)
+function enableScanExport() {
+  const exportButton = document.getElementById('export-scan');
+  if (exportButton) {
+    exportButton.disabled = false;
+  }
+}
+
+// Download the scan shown, proxied images included, as a .3dom.json file
+function exportScan() {
+  if (!currentDomData) return;
+
+  const file = {
+    format: SCAN_FILE_FORMAT,
+    version: SCAN_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    domData: currentDomData,
+  };
+  const blob = new Blob([JSON.stringify(file)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getScanFileName(currentDomData);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // The download has its own copy once it starts
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Name the file after the page and today's date, like "example-domain-2026-01-31.3dom.json"
+function getScanFileName(domData) {
+  const metrics = domData.pageMetrics || {};
+  let name = metrics.title;
+  if (!name && metrics.url) {
+    try {
+      name = new URL(metrics.url).hostname;
+    } catch (error) {
+      name = '';
+    }
+  }
+  const slug = (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  const date = new Date().toISOString().slice(0, 10);
+  return `${slug || 'scan'}-${date}${SCAN_FILE_EXTENSION}`;
+}
+
+// Prefix of the chrome.storage.local keys that hand an imported scan to a new
+// viewer tab (see openImportedScan)
+const SCAN_IMPORT_KEY_PREFIX = 'importedScan-';
+
+// Read, check and open a scan file
+function importScanFile(file) {
+  file.text()
+    .then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error('the file is not valid JSON');
+      }
+      return validateScanFile(data);
+    })
+    .then(openImportedScan)
+    .catch(error => {
+      console.error('3DOM Viewer: Could not import scan file:', error);
+      const message = `Could not import ${file.name}: ${error.message}.`;
+      if (sceneInitialized) {
+        alert(message);
+      } else {
+        updateLoadingStatus(`Error: ${message}`, true);
+      }
+    });
+}
+
+// Draw an imported scan here, or if this viewer already shows a city, hand it
+// to a new viewer tab through chrome.storage.local
+function openImportedScan(domData) {
+  domData.scanId = createScanId();
+  if (!sceneInitialized) {
+    drawImportedScan(domData);
+    return Promise.resolve();
+  }
+
+  const key = `${SCAN_IMPORT_KEY_PREFIX}${domData.scanId}`;
+  return chrome.storage.local.set({ [key]: domData })
+    .catch(() => {
+      throw new Error('it could not be handed to a new viewer tab');
+    })
+    .then(() => {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL(`viewer.html?import=${encodeURIComponent(domData.scanId)}`),
+      });
+    });
+}
+
+// Draw a scan handed over by another viewer's import (see openImportedScan)
+function loadHandedOverImport(scanId) {
+  const key = `${SCAN_IMPORT_KEY_PREFIX}${scanId}`;
+  chrome.storage.local.get(key)
+    .then(items => {
+      chrome.storage.local.remove(key);
+      if (!items[key]) {
+        updateLoadingStatus('Error: The imported scan is no longer available. Please import it again.', true);
+        return;
+      }
+      drawImportedScan(items[key]);
+    })
+    .catch(error => {
+      console.error('3DOM Viewer: Could not read the imported scan:', error);
+      updateLoadingStatus('Error: Could not read the imported scan.', true);
+    });
+}
+
+// Draw an imported scan, then save it in the scan store, so it can be
+// reloaded and shows up in the library. The schema check can't catch
+// everything; a scan that fails to draw is reported on the loading screen
+// (which still covers the half-built scene) and never saved.
+function drawImportedScan(domData) {
+  viewingStoredScan = true;
+  try {
+    processReceivedData(domData);
+  } catch (error) {
+    console.error('3DOM Viewer: Could not draw the imported scan:', error);
+    updateLoadingStatus(`Error: Could not draw the imported scan: ${error.message}.`, true);
+    return;
+  }
+
+  saveScan(domData.scanId, domData).catch(error => {
+    console.warn('3DOM Viewer: Could not save the imported scan:', error);
+    // Reloading can't find it, so don't point the URL at it
+    const params = new URLSearchParams(window.location.search);
+    params.delete('scan');
+    history.replaceState(null, '', `viewer.html?${params}`);
+  });
+}
+
+// Check a parsed scan file against the schema. Returns its domData, or throws
+// an Error saying what is wrong.
+function validateScanFile(file) {
+  if (!isPlainObject(file) || file.format !== SCAN_FILE_FORMAT) {
+    throw new Error('this is not a 3DOM scan file');
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error('the file has no valid schema version');
+  }
+  if (file.version > SCAN_FILE_VERSION) {
+    throw new Error(
+      `the file uses schema version ${file.version}, and this version of 3DOM reads up to version ${SCAN_FILE_VERSION}`
+    );
+  }
+
+  const domData = file.domData;
+  expectInFile(isPlainObject(domData), 'domData must be an object');
+
+  const metrics = domData.pageMetrics;
+  expectInFile(isPlainObject(metrics), 'domData.pageMetrics must be an object');
+  ['width', 'height'].forEach(key => {
+    expectInFile(isFiniteNumber(metrics[key]), `domData.pageMetrics.${key} must be a number`);
+  });
+  ['title', 'url'].forEach(key => {
+    expectInFile(isOptionalString(metrics[key]), `domData.pageMetrics.${key} must be a string`);
+  });
+
+  expectInFile(Array.isArray(domData.elements), 'domData.elements must be an array');
+  domData.elements.forEach((element, index) => {
+    validateScanElement(element, `domData.elements[${index}]`);
+  });
+  expectInFile(
+    domData.frames === undefined || Array.isArray(domData.frames),
+    'domData.frames must be an array'
+  );
+  (domData.frames || []).forEach((frame, index) => {
+    validateScanFrame(frame, `domData.frames[${index}]`);
+  });
+
+  // Shown in the info panel
+  validateCounts(domData.imageStats, 'domData.imageStats');
+  validateCounts(domData.dropped, 'domData.dropped');
+  expectInFile(
+    domData.budget === undefined || domData.budget === null ||
+      (isPlainObject(domData.budget) && (domData.budget.limit == null || isFiniteNumber(domData.budget.limit))),
+    'domData.budget.limit must be a number'
+  );
+
+  return domData;
+}
+
+// Check the fields the viewer relies on to draw an element
+function validateScanElement(element, path) {
+  expectInFile(isPlainObject(element), `${path} must be an object`);
+  expectInFile(typeof element.nodeId === 'string', `${path}.nodeId must be a string`);
+  expectInFile(typeof element.tagName === 'string', `${path}.tagName must be a string`);
+  expectInFile(
+    isPlainObject(element.position) && isFiniteNumber(element.position.x) && isFiniteNumber(element.position.y),
+    `${path}.position must have numeric x and y`
+  );
+  expectInFile(
+    isPlainObject(element.dimensions) &&
+      isFiniteNumber(element.dimensions.width) && element.dimensions.width >= 0 &&
+      isFiniteNumber(element.dimensions.height) && element.dimensions.height >= 0,
+    `${path}.dimensions must have a width and height of at least 0`
+  );
+  expectInFile(isPlainObject(element.styles), `${path}.styles must be an object`);
+  expectInFile(isOptionalString(element.styles.borderRadius), `${path}.styles.borderRadius must be a string`);
+  ['id', 'type', 'selectorPath', 'parentNodeId', 'textContent', 'href'].forEach(key => {
+    expectInFile(isOptionalString(element[key]), `${path}.${key} must be a string`);
+  });
+  if (element.imageData != null) {
+    expectInFile(
+      isPlainObject(element.imageData) && typeof element.imageData.src === 'string',
+      `${path}.imageData.src must be a string`
+    );
+  }
+  if (element.positioning != null) {
+    validatePositioning(element.positioning, `${path}.positioning`);
+  }
+}
+
+// Check the fields the viewer relies on to place fixed and sticky elements
+function validatePositioning(positioning, path) {
+  expectInFile(isPlainObject(positioning), `${path} must be an object`);
+  expectInFile(['fixed', 'sticky'].includes(positioning.mode), `${path}.mode must be "fixed" or "sticky"`);
+  if (positioning.viewport != null) {
+    expectInFile(hasNumbers(positioning.viewport, ['x', 'y']), `${path}.viewport must have numeric x and y`);
+  }
+  if (positioning.offsets != null) {
+    expectInFile(
+      isPlainObject(positioning.offsets) &&
+        ['top', 'right', 'bottom', 'left'].every(key => positioning.offsets[key] === null || isFiniteNumber(positioning.offsets[key])),
+      `${path}.offsets must have a number or null for each side`
+    );
+  }
+  if (positioning.range != null) {
+    expectInFile(
+      hasNumbers(positioning.range, ['x', 'y', 'width', 'height']),
+      `${path}.range must have numeric x, y, width and height`
+    );
+  }
+}
+
+// Check the fields the viewer relies on to draw a frame annex
+function validateScanFrame(frame, path) {
+  expectInFile(isPlainObject(frame), `${path} must be an object`);
+  expectInFile(typeof frame.id === 'string', `${path}.id must be a string`);
+  expectInFile(hasNumbers(frame.position, ['x', 'y']), `${path}.position must have numeric x and y`);
+  expectInFile(
+    hasNumbers(frame.dimensions, ['width', 'height']) && frame.dimensions.width >= 0 && frame.dimensions.height >= 0,
+    `${path}.dimensions must have a width and height of at least 0`
+  );
+  expectInFile(Number.isInteger(frame.level) && frame.level >= 0, `${path}.level must be a whole number of at least 0`);
+  ['parentFrameId', 'src', 'title'].forEach(key => {
+    expectInFile(isOptionalString(frame[key]), `${path}.${key} must be a string`);
+  });
+}
+
+// Counts are objects of numbers, when present
+function validateCounts(counts, path) {
+  if (counts === undefined || counts === null) return;
+  expectInFile(
+    isPlainObject(counts) && Object.values(counts).every(isFiniteNumber),
+    `${path} must hold numbers`
+  );
+}
+
+function expectInFile(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function hasNumbers(value, keys) {
+  return isPlainObject(value) && keys.every(key => isFiniteNumber(value[key]));
+}
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
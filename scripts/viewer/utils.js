@@ -12,6 +12,9 @@ function createTextTexture(text, options = {}) {
     backgroundColor = "rgba(0,0,0,0.8)",
     fontSize = 24,
     fontWeight = "bold",
+    fontFamily = "Arial",
+    maxLines = 3,
+    strokeColor = null, // Outline drawn behind the text, for labels over busy backgrounds
   } = options;
 
   // Create canvas
@@ -27,13 +30,41 @@ function createTextTexture(text, options = {}) {
   }
 
   // Add text
-  context.font = `${fontWeight} ${fontSize}px Arial`;
+  context.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
   context.textAlign = "center";
   context.textBaseline = "middle";
   context.fillStyle = fontColor;
 
   // Handle text wrapping for long text
-  const maxLineWidth = width - 20;
+  const lines = wrapText(context, text, width - 20, maxLines);
+
+  // Calculate line height
+  const lineHeight = fontSize * 1.2;
+  const startY = canvas.height / 2 - ((lines.length - 1) * lineHeight) / 2;
+
+  // Draw each line
+  if (strokeColor) {
+    context.strokeStyle = strokeColor;
+    context.lineWidth = Math.max(2, fontSize / 6);
+    context.lineJoin = "round";
+    lines.forEach((line, index) => {
+      context.strokeText(line, canvas.width / 2, startY + index * lineHeight);
+    });
+  }
+  lines.forEach((line, index) => {
+    context.fillText(line, canvas.width / 2, startY + index * lineHeight);
+  });
+
+  // Create texture from canvas
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.needsUpdate = true;
+
+  return texture;
+}
+
+// Break text into lines no wider than maxWidth in the context's current font.
+// Text that needs more than maxLines lines ends with a "..." line.
+function wrapText(context, text, maxWidth, maxLines = 3) {
   const words = text.split(" ");
   const lines = [];
   let currentLine = "";
@@ -42,7 +73,7 @@ function createTextTexture(text, options = {}) {
     const testLine = currentLine ? `${currentLine} ${word}` : word;
     const metrics = context.measureText(testLine);
 
-    if (metrics.width > maxLineWidth && currentLine) {
+    if (metrics.width > maxWidth && currentLine) {
       lines.push(currentLine);
       currentLine = word;
     } else {
@@ -54,27 +85,93 @@ function createTextTexture(text, options = {}) {
     lines.push(currentLine);
   }
 
-  // Limit to 3 lines maximum
-  const maxLines = 3;
   if (lines.length > maxLines) {
     lines.length = maxLines - 1;
     lines.push("...");
   }
 
-  // Calculate line height
-  const lineHeight = fontSize * 1.2;
-  const startY = canvas.height / 2 - ((lines.length - 1) * lineHeight) / 2;
+  return lines;
+}
 
-  // Draw each line
-  lines.forEach((line, index) => {
-    context.fillText(line, canvas.width / 2, startY + index * lineHeight);
+// Create a flat plane of dark text on a light background, width x depth in
+// scene units, lying in its own XY plane (rotate it to lay it on a surface)
+function createTextPlane(text, width, depth) {
+  // Canvas with the plane's proportions, at most 512px on its longer side
+  const aspect = width / depth;
+  const canvasWidth = aspect >= 1 ? 512 : Math.max(32, Math.round(512 * aspect));
+  const canvasHeight = aspect >= 1 ? Math.max(32, Math.round(512 / aspect)) : 512;
+
+  const texture = createTextTexture(text, {
+    width: canvasWidth,
+    height: canvasHeight,
+    fontColor: "#000000",
+    backgroundColor: "rgba(255, 255, 255, 0.9)",
+    fontSize: Math.max(16, Math.min(48, Math.round(Math.min(canvasWidth, canvasHeight) * 0.3))),
+    fontWeight: "normal",
   });
 
-  // Create texture from canvas
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    transparent: true,
+    opacity: 0.9,
+  });
+  return new THREE.Mesh(new THREE.PlaneGeometry(width, depth), material);
+}
 
-  return texture;
+// Rebuild the scanned DOM tree from parentNodeId links. Returns the root nodes
+// and a map of node ID -> { element, parent, children }, with children in
+// document order. Elements whose parent was not captured become roots.
+function buildElementTree(elements) {
+  const nodesById = new Map();
+  elements.forEach((element) => {
+    nodesById.set(element.nodeId, { element, parent: null, children: [] });
+  });
+
+  const roots = [];
+  elements.forEach((element) => {
+    const node = nodesById.get(element.nodeId);
+    const parent = element.parentNodeId ? nodesById.get(element.parentNodeId) : null;
+    if (parent) {
+      node.parent = parent;
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return { roots, nodesById };
+}
+
+// Get the chain of elements from the tree root down to the given node ID
+function getElementAncestry(tree, nodeId) {
+  const chain = [];
+  let node = tree.nodesById.get(nodeId);
+  while (node) {
+    chain.unshift(node.element);
+    node = node.parent;
+  }
+  return chain;
+}
+
+// Escape text for use in HTML markup (scan data can come from imported files)
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Short label for an element, like "div#main" or "li.item"
+function describeElement(element) {
+  let label = element.tagName.toLowerCase();
+  if (element.id) {
+    label += `#${element.id}`;
+  } else if (element.classes && element.classes.length > 0) {
+    label += `.${element.classes[0]}`;
+  }
+  return label;
 }
 
 // Create a header exhibit for the museum
@@ -21,9 +21,10 @@ document.addEventListener('DOMContentLoaded', () => {
     toggleControls();
   });
 
-  // Select All functionality
+  // Select All functionality (element categories only, not scan settings,
+  // labels, scroll container or frame toggles)
   document.getElementById('select-all-btn').addEventListener('click', () => {
-    document.querySelectorAll('.control-item input[type="checkbox"]').forEach(checkbox => {
+    document.querySelectorAll('.category-list input[type="checkbox"]').forEach(checkbox => {
       checkbox.checked = true;
       checkbox.dispatchEvent(new Event('change', { bubbles: true }));
     });
@@ -31,7 +32,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Deselect All functionality
   document.getElementById('deselect-all-btn').addEventListener('click', () => {
-    document.querySelectorAll('.control-item input[type="checkbox"]').forEach(checkbox => {
+    document.querySelectorAll('.category-list input[type="checkbox"]').forEach(checkbox => {
       checkbox.checked = false;
       checkbox.dispatchEvent(new Event('change', { bubbles: true }));
     });